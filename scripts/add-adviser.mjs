@@ -0,0 +1,60 @@
+// Adds an adviser to src/advisers.json, or sets a new password for an existing one.
+//   node scripts/add-adviser.mjs <id> "<Full name>"
+// The password is read from the terminal (not echoed) or from stdin when piped; only its salted hash is stored.
+// Needs Node 18+; src/auth.js is loaded as an ES module through package.json's "type": "module".
+import { webcrypto } from "node:crypto";
+import { readFile, writeFile } from "node:fs/promises";
+import { createInterface } from "node:readline";
+import { Writable } from "node:stream";
+import { makeAdviser, normalizeAdviserId } from "../src/auth.js";
+
+globalThis.crypto ??= webcrypto; // Node 18 has no global Web Crypto
+
+const CONFIG = new URL("../src/advisers.json", import.meta.url);
+const [id, name] = process.argv.slice(2);
+if (!normalizeAdviserId(id) || !name) {
+  console.error('Usage: node scripts/add-adviser.mjs <id> "<Full name>"');
+  process.exit(1);
+}
+
+// One line from the terminal (typed with echo off) or from piped stdin; rejects if the input ends first.
+const askPassword = () =>
+  new Promise((resolve, reject) => {
+    const tty = !!process.stdin.isTTY;
+    const muted = new Writable({ write: (_chunk, _encoding, done) => done() }); // keeps the typed password off the screen
+    const rl = createInterface({ input: process.stdin, output: tty ? muted : undefined, terminal: tty });
+    let answered = false;
+    if (tty) {
+      process.stdout.write("Password: ");
+      process.stdin.setRawMode(true);
+    }
+    rl.once("line", (line) => {
+      answered = true;
+      rl.close();
+      resolve(line);
+    });
+    rl.once("SIGINT", () => rl.close());
+    rl.once("close", () => {
+      if (tty) {
+        process.stdin.setRawMode(false);
+        process.stdout.write("\n");
+      }
+      if (!answered) reject(new Error("No password given: stdin closed before a line was read."));
+    });
+  });
+
+const password = await askPassword().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
+if (password.length < 10) {
+  console.error("Passwords must be at least 10 characters.");
+  process.exit(1);
+}
+
+const config = JSON.parse(await readFile(CONFIG, "utf8"));
+const entry = await makeAdviser(id, name, password);
+const existing = config.advisers.some((a) => a.id === entry.id);
+config.advisers = existing ? config.advisers.map((a) => (a.id === entry.id ? entry : a)) : [...config.advisers, entry];
+await writeFile(CONFIG, JSON.stringify(config, null, 2) + "\n");
+console.log(`${existing ? "Updated" : "Added"} ${entry.id} (${name}) in src/advisers.json`);
@@ -1,7 +1,64 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import html2canvas from "html2canvas";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
 import { jsPDF } from "jspdf";
 import "./App.css";
+import {
+  AGE_PENSION_DEFAULTS,
+  ALPHA_MAX,
+  ATO_MIN_DRAWDOWN,
+  GOAL_UNKNOWNS,
+  HEATMAP_INPUTS,
+  OUTCOME_METRICS,
+  clamp,
+  createEngine,
+  flatReturnsApply,
+  glideGrowthAt,
+  lifeEventOccurrences,
+  nz,
+} from "./engine";
+import { createEngineClient } from "./engineClient";
+import { EXPORT_SERIES, flattenFields, seriesTable, spendInBasis, todaysRow } from "./exportData";
+import { REGIONS, formatsFor } from "./regions";
+import {
+  ACCOUNT_DEFAULTS,
+  AGE_PENSION_FIELDS,
+  ALPHA_DEFAULT,
+  ALPHA_SOURCES,
+  DRAWDOWN_ORDERS,
+  ESCALATION_MODES,
+  FEE_SCHEDULE_DEFAULT,
+  GLIDE_DEFAULT,
+  GLIDE_TEMPLATES,
+  GOAL_DEFAULT,
+  GOAL_TARGETS,
+  HEATMAP_DEFAULT,
+  LIFE_EVENTS_DEFAULT,
+  SAVINGS_PLAN_DEFAULT,
+  SENSITIVITY_DEFAULT,
+  SENSITIVITY_UNITS,
+  TABS,
+  WITHDRAWAL_SETTINGS_DEFAULT,
+  WITHDRAWAL_STRATEGIES,
+  adviserAlpha,
+  feeScheduleParams,
+  feeScheduleText,
+  glideFromTemplate,
+} from "./scenarioDefaults";
+import {
+  LIBRARY_KEY,
+  SCHEMA_VERSION,
+  SHARE_VERSION,
+  decodeShareState,
+  encodeShareState,
+  groupScenariosByClient,
+  latestScenario,
+  loadLibrary,
+  makeScenario,
+  validateScenario,
+} from "./scenarios";
+import { buildXlsx, toCsv } from "./spreadsheet";
+import { buildReport, REPORT_COLORS } from "./pdfReport";
+import { SESSION_KEY, clearFailures, endSession, loadSession, lockRemaining, recordFailure, startSession, verifyAdviser } from "./auth";
+import adviserConfig from "./advisers.json";
 import {
   ResponsiveContainer,
   ComposedChart,
@@ -12,6 +69,9 @@ import {
   Tooltip,
   Legend,
   ReferenceLine,
+  Area,
+  BarChart,
+  Bar,
 } from "recharts";
 
 /**
@@ -27,7 +87,6 @@ import {
 const THEME = {
   dark: {
     pageBg: "#0b1220",
-    pdfBg: "#000000",
     inputBg: "#000000",
     text: "#e6eefc",
     muted: "#9fb0d1",
@@ -45,7 +104,6 @@ const THEME = {
   },
   light: {
     pageBg: "#f7fafc",
-    pdfBg: "#ffffff",
     inputBg: "#ffffff",
     text: "#0f172a",
     muted: "#475569",
@@ -63,87 +121,158 @@ const THEME = {
   },
 };
 
-// ================= Utils =================
-const clamp = (v, min, max) => Math.min(Math.max(Number(v) || 0, min), max);
-const nz = (n, fb = 0) => (Number.isFinite(n) ? n : fb);
-const fmtAUD = (n) =>
-  "A$" + nz(n, 0).toLocaleString("en-AU", { maximumFractionDigits: 0, minimumFractionDigits: 0 });
-const fmtAxis = (v) => {
-  const n = Number(v) || 0;
-  const a = Math.abs(n);
-  const s =
-    a >= 1e9
-      ? (a / 1e9).toFixed(1) + "Bn"
-      : a >= 1e6
-      ? (a / 1e6).toFixed(1) + "M"
-      : a >= 1e3
-      ? Math.round(a / 1e3) + "k"
-      : String(Math.round(a));
-  return (n < 0 ? "-$" : "$") + s;
+// Formatters for the scenario's region (see regions.js); the planner provides them to its controls.
+const FormatContext = createContext(formatsFor("AU"));
+
+// ============== Accounts =================
+// [bucket kind, label, theme colour] for the stacked balance chart.
+const BUCKET_STYLE = [
+  ["portfolio", "Portfolio", "accent"],
+  ["cash", "Cash / offset", "gold"],
+  ["super", "Super", "primary"],
+];
+
+// ============== Age Pension (thresholds editor) =================
+// Read and update one AGE_PENSION_FIELDS path of the rates object.
+const getIn = (obj, path) => path.reduce((o, k) => o?.[k], obj);
+const setIn = (obj, [k, ...rest], v) => ({ ...obj, [k]: rest.length ? setIn(obj?.[k], rest, v) : v });
+
+// ============== Heatmap =================
+// Red (worst) → amber → green (best) for t in [0, 1].
+const heatColor = (t) => `hsl(${Math.round(clamp(t, 0, 1) * 130)}, 70%, 45%)`;
+
+// ============== Cashflow ledger columns =================
+// [key, header, sign]: sign −1 marks money leaving the balance (shown in red).
+const LEDGER_COLUMNS = [
+  ["age", "Age", 0],
+  ["opening", "Opening", 0],
+  ["contributions", "Contributions", 1],
+  ["returns", "Returns", 1],
+  ["pctFees", "% Fees", -1],
+  ["tax", "Tax", -1],
+  ["fixedFees", "Fixed Fees", -1],
+  ["withdrawals", "Withdrawals", -1],
+  ["events", "Life Events", 1],
+  ["closing", "Closing", 0],
+];
+
+// ============== Engine worker =================
+// The engine runs in a Web Worker (see engineClient.js). The first render, and environments without workers
+// (SSR, the tests), run it inline.
+const runInline = createEngine();
+
+// Engine answer for `request` (plain data):
+// → { result, solved (the request that produced it), busy, error, stale (result doesn't match `request` yet) }.
+// After an error the last good result is kept and `error` holds the message until a later request succeeds.
+const solvedState = (result, solved, busy) => ({ result, solved, solvedKey: JSON.stringify(solved), busy, error: null });
+const runInlineState = (request) => {
+  try {
+    return solvedState(runInline(request), request, false);
+  } catch (e) {
+    return { error: String(e?.message || e), busy: false };
+  }
 };
 
-// ============== Simulation (monthly) =================
-function simulate({
-  currentAge,
-  retirementAge,
-  horizonYears,
-  startAssets,
-  monthlySave,
-  preAnnualGross,
-  postRealAnnualGross,
-  inflationAnnual,
-  annualSpendToday,
-  delayYears,
-  feeAnnualPre = 0,
-  feeAnnualPost = 0,
-  fixedFeeAnnual = 0,
-}) {
-  const months = Math.max(1, Math.round(horizonYears * 12));
-  const preNet = Math.max(-0.99, preAnnualGross - feeAnnualPre);
-  const postNominal = (1 + postRealAnnualGross) * (1 + inflationAnnual) - 1;
-  const postNet = Math.max(-0.99, postNominal - feeAnnualPost);
-  const mPre = Math.pow(1 + preNet, 1 / 12) - 1;
-  const mPost = Math.pow(1 + postNet, 1 / 12) - 1;
-  const mInfl = Math.pow(1 + inflationAnnual, 1 / 12) - 1;
-  const mFix = Math.max(0, fixedFeeAnnual) / 12;
-  const toRet = Math.max(0, Math.round((retirementAge - currentAge) * 12));
-  const dly = Math.max(0, Math.round(delayYears * 12));
-
-  const rows = [];
-  let bal = Math.max(0, startAssets);
-  let dep = null;
-  rows.push({ age: Math.floor(currentAge), nominal: bal, real: bal });
-
-  for (let m = 1; m <= months; m++) {
-    const age = currentAge + m / 12;
-    const pre = m <= toRet;
-    const r = pre ? mPre : mPost;
-    const c = pre && m > dly ? monthlySave : 0;
-    const msr = Math.max(0, m - toRet);
-    const sp = msr > 0 ? (annualSpendToday / 12) * Math.pow(1 + mInfl, msr) : 0;
-
-    bal = bal * (1 + r) + c - sp - mFix;
-    if (bal <= 0 && !dep) dep = age;
-    if (bal < 0) bal = 0;
-
-    if (m % 12 === 0) {
-      const d = Math.pow(1 + mInfl, m);
-      rows.push({ age: Math.floor(age), nominal: bal, real: bal / d });
+function useEngine(request) {
+  const key = JSON.stringify(request);
+  const [state, setState] = useState(() => ({ result: null, solved: null, solvedKey: null, ...runInlineState(request) }));
+  const client = useRef(null);
+  const latest = useRef(request);
+  latest.current = request;
+  const runHere = (r) => setState((s) => ({ ...s, ...runInlineState(r) }));
+
+  useEffect(() => {
+    if (typeof Worker === "undefined") return undefined;
+    try {
+      client.current = createEngineClient(
+        (result, solved, more) => setState(solvedState(result, solved, more)),
+        (error, _, more) => setState((s) => ({ ...s, busy: more, error })),
+        () => {
+          client.current = null;
+          runHere(latest.current);
+        }
+      );
+    } catch {
+      client.current = null;
     }
-  }
+    return () => client.current?.terminate();
+  }, []);
 
-  return {
-    rows,
-    endNom: bal,
-    endReal: rows[rows.length - 1]?.real ?? bal,
-    depletedAge: dep ? Math.floor(dep) : null,
-    depletedAgeExact: dep,
-  };
+  useEffect(() => {
+    if (key === state.solvedKey) return;
+    if (!client.current) return runHere(latest.current);
+    client.current.post(latest.current);
+    setState((s) => (s.busy ? s : { ...s, busy: true }));
+  }, [key]);
+
+  return { ...state, stale: key !== state.solvedKey };
 }
 
 // ============== App ======================
+// Signed-out visitors only get the sign-in screen; the planner mounts (and starts computing) once an adviser signs in.
 export default function App() {
-  const LS_KEY = "ut_v4";
+  // Signed-in adviser; the session ends by itself at expiresAt, and in every tab on log out.
+  const [session, setSession] = useState(() => {
+    try {
+      return loadSession(localStorage, ADVISERS, Date.now());
+    } catch {
+      return null;
+    }
+  });
+  useEffect(() => {
+    if (!session) return;
+    const t = setTimeout(() => {
+      endSession(localStorage);
+      setSession(null);
+    }, session.expiresAt - Date.now());
+    const onStorage = (e) => e.key === SESSION_KEY && setSession(loadSession(localStorage, ADVISERS, Date.now()));
+    window.addEventListener("storage", onStorage);
+    return () => {
+      clearTimeout(t);
+      window.removeEventListener("storage", onStorage);
+    };
+  }, [session]);
+  const logOut = () => {
+    endSession(localStorage);
+    setSession(null);
+  };
+
+  return session ? (
+    <PlannerBoundary onLogOut={logOut}>
+      <Planner session={session} onLogOut={logOut} />
+    </PlannerBoundary>
+  ) : (
+    <AdviserGate onSignIn={setSession} />
+  );
+}
+
+// Catches a planner that can't render (e.g. the engine failed on the first run) and offers a retry.
+class PlannerBoundary extends React.Component {
+  state = { error: null };
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+  render() {
+    const { error } = this.state;
+    if (!error) return this.props.children;
+    return (
+      <div className="ut-shell ut-shell--gate">
+        <div className="ut-gate-card">
+          <h1>Couldn't calculate this scenario</h1>
+          <p>{String(error?.message || error)}</p>
+          <button className="ut-gate-button" onClick={() => this.setState({ error: null })}>
+            Try again
+          </button>
+          <button className="ut-gate-button" onClick={this.props.onLogOut} style={{ marginTop: 8 }}>
+            Log out
+          </button>
+        </div>
+      </div>
+    );
+  }
+}
+
+function Planner({ session, onLogOut }) {
   const THEME_KEY = "ut_theme_v4";
 
   // Theme
@@ -161,7 +290,6 @@ export default function App() {
   }, [dark]);
   const theme = dark ? THEME.dark : THEME.light;
 
-  const TABS = { COMPOUND: "Compounding", FEES: "Fees", TARGET: "Ultimate Target" };
   const [tab, setTab] = useState(TABS.COMPOUND);
 
   // ---- State (defaults)
@@ -181,29 +309,127 @@ export default function App() {
   const [diyFixed, setDiyFixed] = useState(0);
   const [advisorFeePct, setAdvisorFeePct] = useState(1.2);
   const [advisorFixed, setAdvisorFixed] = useState(2000);
+  const [diySchedule, setDiySchedule] = useState(FEE_SCHEDULE_DEFAULT);
+  const [advisorSchedule, setAdvisorSchedule] = useState(FEE_SCHEDULE_DEFAULT);
+
+  // Monte Carlo (stochastic returns)
+  const [mcEnabled, setMcEnabled] = useState(false);
+  const [mcVolPct, setMcVolPct] = useState(12);
+  const [mcTrials, setMcTrials] = useState(1000);
+  const [mcSeed, setMcSeed] = useState(42);
+
+  // Superannuation account
+  const [superMode, setSuperMode] = useState(false);
+  const [superBalance, setSuperBalance] = useState(150000);
+  const [superConcessional, setSuperConcessional] = useState(12000);
+  const [superNonConcessional, setSuperNonConcessional] = useState(0);
+  const [preservationAge, setPreservationAge] = useState(60);
+  const [concessionalCap, setConcessionalCap] = useState(30000);
+  const [nonConcessionalCap, setNonConcessionalCap] = useState(120000);
+  const [marginalTaxPct, setMarginalTaxPct] = useState(37);
+
+  // Age Pension
+  const [pensionEnabled, setPensionEnabled] = useState(false);
+  const [pensionCouple, setPensionCouple] = useState(false);
+  const [pensionHomeowner, setPensionHomeowner] = useState(true);
+  const [pensionOtherAssets, setPensionOtherAssets] = useState(50000);
+  const [pensionRates, setPensionRates] = useState(AGE_PENSION_DEFAULTS);
+
+  // Accounts (buckets) & drawdown order
+  const [accountsMode, setAccountsMode] = useState(false);
+  const [accountSettings, setAccountSettings] = useState(ACCOUNT_DEFAULTS);
+  const [drawdownOrder, setDrawdownOrder] = useState("nonSuperFirst");
+  const [stackedView, setStackedView] = useState(false);
+
+  // Couple / partner profile
+  const [coupleMode, setCoupleMode] = useState(false);
+  const [partnerAge, setPartnerAge] = useState(38);
+  const [partnerRetirementAge, setPartnerRetirementAge] = useState(62);
+  const [partnerLifeExpectancy, setPartnerLifeExpectancy] = useState(92);
+  const [partnerInitial, setPartnerInitial] = useState(100000);
+  const [partnerMonthlySave, setPartnerMonthlySave] = useState(1000);
+  const [survivorSpendPct, setSurvivorSpendPct] = useState(70);
+  const [showPartnerAges, setShowPartnerAges] = useState(true);
+
+  // Glide path
+  const [glideEnabled, setGlideEnabled] = useState(false);
+  const [glide, setGlide] = useState(GLIDE_DEFAULT);
+
+  // Savings plan
+  const [savingsPlanEnabled, setSavingsPlanEnabled] = useState(false);
+  const [savingsPlan, setSavingsPlan] = useState(SAVINGS_PLAN_DEFAULT);
+  const [goalEnabled, setGoalEnabled] = useState(false);
+  const [goal, setGoal] = useState(GOAL_DEFAULT);
+  const [sensEnabled, setSensEnabled] = useState(false);
+  const [sensSettings, setSensSettings] = useState(SENSITIVITY_DEFAULT);
+  const [heatEnabled, setHeatEnabled] = useState(false);
+  const [heatSettings, setHeatSettings] = useState(HEATMAP_DEFAULT);
+  const [alphaEnabled, setAlphaEnabled] = useState(false);
+  const [alphaSettings, setAlphaSettings] = useState(ALPHA_DEFAULT);
+  const [dollarBasis, setDollarBasis] = useState("future"); // "today" deflates every figure along the inflation path
+  const [region, setRegion] = useState("AU"); // REGIONS key: currency, number/date locale and country defaults
+  const formats = formatsFor(region);
+  const { fmtMoney, fmtAxis, moneyText, fmtStamp, region: regionInfo } = formats;
+
+  // Life events
+  const [eventsEnabled, setEventsEnabled] = useState(false);
+  const [lifeEventsList, setLifeEventsList] = useState(LIFE_EVENTS_DEFAULT);
+
+  // Withdrawal strategy (drawdown phase); settings are in % like the other inputs
+  const [withdrawalStrategy, setWithdrawalStrategy] = useState("constant");
+  const [withdrawalSettings, setWithdrawalSettings] = useState(WITHDRAWAL_SETTINGS_DEFAULT);
 
   // View toggles
   const [compareAdv, setCompareAdv] = useState(false); // in TARGET tab: DIY vs Adviser
   const [activePreset, setActivePreset] = useState("");
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false); // Mobile collapsible menu
+  const [ledgerOpen, setLedgerOpen] = useState(false); // cashflow table under the chart
+  const [ledgerSide, setLedgerSide] = useState("A");
+  const [ledgerSort, setLedgerSort] = useState({ key: "age", dir: 1 });
+
+  // Scenario library; the active scenario auto-saves once the stored state has been applied.
+  const [library, setLibrary] = useState(() => {
+    try {
+      return loadLibrary(localStorage);
+    } catch {
+      return loadLibrary({ getItem: () => null });
+    }
+  });
+  const [hydrated, setHydrated] = useState(false);
+  const [notice, setNotice] = useState(null); // { tone: "success" | "danger", text } banner under the header
 
   // ---- Persist & URL import
   useEffect(() => {
-    try {
-      const url = new URL(window.location.href);
-      const s = url.searchParams.get("state");
-      if (s) {
-        const parsed = JSON.parse(atob(s));
-        applyState(parsed);
-        return; // don't also load LS this time
-      }
-      const r = localStorage.getItem(LS_KEY);
-      if (r) applyState(JSON.parse(r));
-    } catch {}
+    const openStored = () => applyState(library.scenarios[library.activeId]?.state || {}, "your saved scenario");
+    const url = new URL(window.location.href);
+    const s = url.searchParams.get("state");
+    if (!s) {
+      openStored();
+      setHydrated(true);
+      return;
+    }
+    // A shared link opens as its own scenario rather than overwriting the active one; drop it from the
+    // address bar so a refresh doesn't import it again.
+    url.searchParams.delete("state");
+    window.history.replaceState(null, "", url.toString());
+    decodeShareState(s)
+      .then(({ state, version }) => {
+        const sc = makeScenario("Shared link", state);
+        setLibrary((lib) => ({ ...lib, activeId: sc.id, scenarios: { ...lib.scenarios, [sc.id]: sc } }));
+        if (!applyState(state, "the shared link").length) {
+          setNotice({ tone: "success", text: `Opened a shared scenario${version < SHARE_VERSION ? ` (older v${version} link)` : ""} — saved as "Shared link".` });
+        }
+      })
+      .catch((e) => {
+        openStored();
+        setNotice({ tone: "danger", text: `Couldn't open the shared link: ${e.message}. Your saved scenario was loaded instead.` });
+      })
+      .finally(() => setHydrated(true));
     // eslint-disable-next-line
   }, []);
 
   const snapshot = () => ({
+    schemaVersion: SCHEMA_VERSION,
     client,
     currentAge,
     retirementAge,
@@ -219,41 +445,215 @@ export default function App() {
     diyFixed,
     advisorFeePct,
     advisorFixed,
+    diySchedule,
+    advisorSchedule,
+    mcEnabled,
+    mcVolPct,
+    mcTrials,
+    mcSeed,
+    superMode,
+    superBalance,
+    superConcessional,
+    superNonConcessional,
+    preservationAge,
+    concessionalCap,
+    nonConcessionalCap,
+    marginalTaxPct,
+    pensionEnabled,
+    pensionCouple,
+    pensionHomeowner,
+    pensionOtherAssets,
+    pensionRates,
+    accountsMode,
+    accountSettings,
+    drawdownOrder,
+    stackedView,
+    coupleMode,
+    partnerAge,
+    partnerRetirementAge,
+    partnerLifeExpectancy,
+    partnerInitial,
+    partnerMonthlySave,
+    survivorSpendPct,
+    showPartnerAges,
+    glideEnabled,
+    glide,
+    withdrawalStrategy,
+    withdrawalSettings,
+    eventsEnabled,
+    lifeEventsList,
+    savingsPlanEnabled,
+    savingsPlan,
+    goalEnabled,
+    goal,
+    sensEnabled,
+    sensSettings,
+    heatEnabled,
+    heatSettings,
+    alphaEnabled,
+    alphaSettings,
+    dollarBasis,
+    region,
     tab,
     compareAdv,
     dark,
     activePreset,
   });
 
-  const applyState = (s) => {
-    if (!s) return;
-    setClient(s.client ?? "");
-    setCurrentAge(s.currentAge ?? 40);
-    setRetirementAge(s.retirementAge ?? 60);
-    setLifeExpectancy(s.lifeExpectancy ?? 90);
-    setInitialAmount(s.initialAmount ?? 200000);
-    setMonthlySave(s.monthlySave ?? 1500);
-    setAnnualSpendToday(s.annualSpendToday ?? 60000);
-    setDelayYears(s.delayYears ?? 3);
-    setReturnPa(s.returnPa ?? 8);
-    setPostRetRealPa(s.postRetRealPa ?? 2.5);
-    setInflationPa(s.inflationPa ?? 0);
-    setDiyFeePct(s.diyFeePct ?? 0.2);
-    setDiyFixed(s.diyFixed ?? 0);
-    setAdvisorFeePct(s.advisorFeePct ?? 1.2);
-    setAdvisorFixed(s.advisorFixed ?? 2000);
-    setTab(s.tab ?? TABS.COMPOUND);
-    setCompareAdv(!!s.compareAdv);
-    setDark(s.dark ?? true);
-    setActivePreset(s.activePreset ?? "");
+  // Applies a stored/shared scenario after migration and validation; returns (and reports) any corrections.
+  const applyState = (raw, source = "this scenario") => {
+    if (!raw) return [];
+    const { state: s, corrections } = validateScenario(raw);
+    setClient(s.client);
+    setCurrentAge(s.currentAge);
+    setRetirementAge(s.retirementAge);
+    setLifeExpectancy(s.lifeExpectancy);
+    setInitialAmount(s.initialAmount);
+    setMonthlySave(s.monthlySave);
+    setAnnualSpendToday(s.annualSpendToday);
+    setDelayYears(s.delayYears);
+    setReturnPa(s.returnPa);
+    setPostRetRealPa(s.postRetRealPa);
+    setInflationPa(s.inflationPa);
+    setDiyFeePct(s.diyFeePct);
+    setDiyFixed(s.diyFixed);
+    setAdvisorFeePct(s.advisorFeePct);
+    setAdvisorFixed(s.advisorFixed);
+    setDiySchedule(s.diySchedule);
+    setAdvisorSchedule(s.advisorSchedule);
+    setMcEnabled(s.mcEnabled);
+    setMcVolPct(s.mcVolPct);
+    setMcTrials(s.mcTrials);
+    setMcSeed(s.mcSeed);
+    setSuperMode(s.superMode);
+    setSuperBalance(s.superBalance);
+    setSuperConcessional(s.superConcessional);
+    setSuperNonConcessional(s.superNonConcessional);
+    setPreservationAge(s.preservationAge);
+    setConcessionalCap(s.concessionalCap);
+    setNonConcessionalCap(s.nonConcessionalCap);
+    setMarginalTaxPct(s.marginalTaxPct);
+    setPensionEnabled(s.pensionEnabled);
+    setPensionCouple(s.pensionCouple);
+    setPensionHomeowner(s.pensionHomeowner);
+    setPensionOtherAssets(s.pensionOtherAssets);
+    setPensionRates(s.pensionRates);
+    setAccountsMode(s.accountsMode);
+    setAccountSettings(s.accountSettings);
+    setDrawdownOrder(s.drawdownOrder);
+    setStackedView(s.stackedView);
+    setCoupleMode(s.coupleMode);
+    setPartnerAge(s.partnerAge);
+    setPartnerRetirementAge(s.partnerRetirementAge);
+    setPartnerLifeExpectancy(s.partnerLifeExpectancy);
+    setPartnerInitial(s.partnerInitial);
+    setPartnerMonthlySave(s.partnerMonthlySave);
+    setSurvivorSpendPct(s.survivorSpendPct);
+    setShowPartnerAges(s.showPartnerAges);
+    setGlideEnabled(s.glideEnabled);
+    setGlide(s.glide);
+    setWithdrawalStrategy(s.withdrawalStrategy);
+    setWithdrawalSettings(s.withdrawalSettings);
+    setEventsEnabled(s.eventsEnabled);
+    setSavingsPlanEnabled(s.savingsPlanEnabled);
+    setSavingsPlan(s.savingsPlan);
+    setGoalEnabled(s.goalEnabled);
+    setGoal(s.goal);
+    setSensEnabled(s.sensEnabled);
+    setSensSettings(s.sensSettings);
+    setHeatEnabled(s.heatEnabled);
+    setHeatSettings(s.heatSettings);
+    setAlphaEnabled(s.alphaEnabled);
+    setAlphaSettings(s.alphaSettings);
+    setDollarBasis(s.dollarBasis);
+    setRegion(s.region);
+    setLifeEventsList(s.lifeEventsList);
+    setTab(s.tab);
+    setCompareAdv(s.compareAdv);
+    setDark(s.dark);
+    setActivePreset(s.activePreset);
+    if (corrections.length) {
+      const shown = corrections.slice(0, 6).map((c) => `${c.field} (${c.from} → ${c.to}: ${c.reason})`);
+      const more = corrections.length > shown.length ? `, and ${corrections.length - shown.length} more` : "";
+      setNotice({ tone: "danger", text: `Corrected ${corrections.length} ${corrections.length === 1 ? "field" : "fields"} in ${source}: ${shown.join("; ")}${more}.` });
+    }
+    return corrections;
   };
 
   useEffect(() => {
-    try {
-      localStorage.setItem(LS_KEY, JSON.stringify(snapshot()));
-    } catch {}
+    if (!hydrated) return;
+    const state = snapshot();
+    setLibrary((lib) => {
+      const sc = lib.scenarios[lib.activeId];
+      if (!sc || JSON.stringify(sc.state) === JSON.stringify(state)) return lib;
+      return { ...lib, scenarios: { ...lib.scenarios, [sc.id]: { ...sc, state, client: state.client, updatedAt: Date.now() } } };
+    });
     // eslint-disable-next-line
-  }, [client, currentAge, retirementAge, lifeExpectancy, initialAmount, monthlySave, annualSpendToday, delayYears, returnPa, postRetRealPa, inflationPa, diyFeePct, diyFixed, advisorFeePct, advisorFixed, tab, compareAdv, dark, activePreset]);
+  }, [hydrated, client, currentAge, retirementAge, lifeExpectancy, initialAmount, monthlySave, annualSpendToday, delayYears, returnPa, postRetRealPa, inflationPa, diyFeePct, diyFixed, advisorFeePct, advisorFixed, diySchedule, advisorSchedule, mcEnabled, mcVolPct, mcTrials, mcSeed, superMode, superBalance, superConcessional, superNonConcessional, preservationAge, concessionalCap, nonConcessionalCap, marginalTaxPct, pensionEnabled, pensionCouple, pensionHomeowner, pensionOtherAssets, pensionRates, accountsMode, accountSettings, drawdownOrder, stackedView, coupleMode, partnerAge, partnerRetirementAge, partnerLifeExpectancy, partnerInitial, partnerMonthlySave, survivorSpendPct, showPartnerAges, glideEnabled, glide, withdrawalStrategy, withdrawalSettings, eventsEnabled, lifeEventsList, savingsPlanEnabled, savingsPlan, goalEnabled, goal, sensEnabled, sensSettings, heatEnabled, heatSettings, alphaEnabled, alphaSettings, dollarBasis, region, tab, compareAdv, dark, activePreset]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+    } catch {
+      // Storage can be full or blocked; the library then only lives for this session.
+    }
+  }, [library]);
+
+  // ---- Share link ----
+  const copyShareLink = async () => {
+    try {
+      const url = new URL(window.location.href);
+      url.search = "";
+      url.hash = "";
+      url.searchParams.set("state", await encodeShareState(snapshot()));
+      const link = url.toString();
+      try {
+        await navigator.clipboard.writeText(link);
+        setNotice({ tone: "success", text: "Share link copied to the clipboard." });
+      } catch {
+        window.prompt("Copy this share link:", link);
+      }
+    } catch (e) {
+      setNotice({ tone: "danger", text: `Couldn't create a share link: ${e.message}` });
+    }
+  };
+
+  // ---- Scenario library actions ----
+  const activeScenario = library.scenarios[library.activeId] || null;
+  const scenarioGroups = useMemo(() => groupScenariosByClient(library.scenarios), [library.scenarios]);
+  const openScenario = (id) => {
+    const sc = library.scenarios[id];
+    if (!sc) return;
+    setLibrary((lib) => ({ ...lib, activeId: id }));
+    setNotice(null);
+    applyState(sc.state || {}, `"${sc.name}"`);
+  };
+  const addScenario = (name, state) => {
+    const sc = makeScenario(name, state);
+    setLibrary((lib) => ({ ...lib, activeId: sc.id, scenarios: { ...lib.scenarios, [sc.id]: sc } }));
+    applyState(state || {});
+  };
+  const newScenario = () => {
+    const name = window.prompt("Name for the new scenario:", `Scenario ${Object.keys(library.scenarios).length + 1}`);
+    if (name) addScenario(name.trim(), null);
+  };
+  const saveScenarioAs = () => {
+    const name = window.prompt("Save the current inputs as:", `${activeScenario?.name || "Scenario"} (copy)`);
+    if (name) addScenario(name.trim(), snapshot());
+  };
+  const duplicateScenario = () => addScenario(`${activeScenario?.name || "Scenario"} (copy)`, snapshot());
+  const renameScenario = () => {
+    const name = activeScenario && window.prompt("Rename scenario:", activeScenario.name);
+    if (!name) return;
+    setLibrary((lib) => ({ ...lib, scenarios: { ...lib.scenarios, [lib.activeId]: { ...lib.scenarios[lib.activeId], name: name.trim(), updatedAt: Date.now() } } }));
+  };
+  const deleteScenario = () => {
+    if (!activeScenario || !window.confirm(`Delete "${activeScenario.name}"? This cannot be undone.`)) return;
+    const rest = Object.fromEntries(Object.entries(library.scenarios).filter(([id]) => id !== activeScenario.id));
+    const next = latestScenario(rest) || makeScenario("Scenario 1", null);
+    setLibrary((lib) => ({ ...lib, activeId: next.id, scenarios: { ...rest, [next.id]: next } }));
+    applyState(next.state || {});
+  };
 
   const themeCard = {
     background: theme.cardBg,
@@ -261,117 +661,340 @@ export default function App() {
     borderRadius: 16,
     padding: 16,
   };
-  const horizonYears = Math.max(1, lifeExpectancy - currentAge);
+  // Household plan runs until the last member's life expectancy, expressed in the primary member's age.
+  const partnerGap = coupleMode ? partnerAge - currentAge : 0;
+  const planEndAge = coupleMode ? Math.max(lifeExpectancy, partnerLifeExpectancy - partnerGap) : lifeExpectancy;
+  const horizonYears = Math.max(1, planEndAge - currentAge);
 
-  // ---- Presets (nominal matrix; inflation forced to 0 so nominal==real in sim)
+  // ---- Presets (glide-path templates anchored on the retirement age; inflation forced to 0 so nominal==real in sim)
   const applyPreset = (key) => {
-    if (key === "Conservative") {
-      setReturnPa(6.0);
-      setPostRetRealPa(4.0);
-      setInflationPa(0.0);
-    } else if (key === "Balanced") {
-      setReturnPa(7.5);
-      setPostRetRealPa(5.0);
-      setInflationPa(0.0);
-    } else if (key === "Growth") {
-      setReturnPa(10.0);
-      setPostRetRealPa(6.0);
-      setInflationPa(0.0);
-    }
+    if (!GLIDE_TEMPLATES[key]) return;
+    setGlide(glideFromTemplate(key, retirementAge, region));
+    setGlideEnabled(true);
+    setInflationPa(0.0);
     setActivePreset(key);
   };
 
-  // ---- Scenarios ----
-  const mk = (d, feeP, feeF) =>
-    simulate({
-      currentAge,
-      retirementAge,
-      horizonYears,
-      startAssets: Math.max(0, initialAmount),
-      monthlySave,
-      preAnnualGross: Math.max(0, returnPa) / 100,
-      postRealAnnualGross: postRetRealPa / 100,
-      inflationAnnual: Math.max(0, inflationPa) / 100,
-      annualSpendToday: Math.max(0, annualSpendToday),
-      delayYears: d,
-      feeAnnualPre: Math.max(0, feeP) / 100,
-      feeAnnualPost: Math.max(0, feeP) / 100,
-      fixedFeeAnnual: Math.max(0, feeF),
-    });
+  // ---- Region: formats every figure in its currency and loads its default inflation (or, under a preset, its returns)
+  const changeRegion = (code) => {
+    if (!REGIONS[code]) return;
+    setRegion(code);
+    if (activePreset) setGlide(glideFromTemplate(activePreset, retirementAge, code));
+    else setInflationPa(REGIONS[code].inflationPa);
+  };
 
-  const comp_now = useMemo(
-    () => mk(0, diyFeePct, 0),
-    [currentAge, retirementAge, horizonYears, initialAmount, monthlySave, returnPa, postRetRealPa, inflationPa, annualSpendToday, diyFeePct]
+  // ---- Glide path (shared by every scenario when enabled) ----
+  const glidePath = useMemo(
+    () =>
+      glideEnabled && glide.points.length
+        ? {
+            points: glide.points.map((p) => ({ age: p.age, growth: clamp(p.growth, 0, 100) / 100 })),
+            growthReturn: glide.growthReturn / 100,
+            defensiveReturn: glide.defensiveReturn / 100,
+            growthFee: Math.max(0, glide.growthFee) / 100,
+            defensiveFee: Math.max(0, glide.defensiveFee) / 100,
+          }
+        : null,
+    [glideEnabled, glide]
+  );
+  const glideReturnAt = (age) => {
+    const g = glideGrowthAt(glidePath?.points, age);
+    return (g * glide.growthReturn + (1 - g) * glide.defensiveReturn).toFixed(2);
+  };
+  const setGlidePoint = (i, key, v) => setGlide((g) => ({ ...g, points: g.points.map((p, j) => (j === i ? { ...p, [key]: v } : p)) }));
+
+  // ---- Withdrawal strategy (shared by every scenario; constant dollar passes nothing) ----
+  const withdrawal = useMemo(
+    () =>
+      withdrawalStrategy === "constant"
+        ? null
+        : {
+            strategy: withdrawalStrategy,
+            pct: Math.max(0, withdrawalSettings.pct) / 100,
+            floorPct: Math.max(0, withdrawalSettings.floorPct) / 100,
+            ceilingPct: Math.max(withdrawalSettings.floorPct, withdrawalSettings.ceilingPct) / 100,
+            guardrail: Math.max(0, withdrawalSettings.guardrail) / 100,
+            adjust: clamp(withdrawalSettings.adjust, 0, 100) / 100,
+          },
+    [withdrawalStrategy, withdrawalSettings]
   );
-  const comp_delay = useMemo(
-    () => mk(Math.max(0, delayYears), diyFeePct, 0),
-    [currentAge, retirementAge, horizonYears, initialAmount, monthlySave, returnPa, postRetRealPa, inflationPa, annualSpendToday, delayYears, diyFeePct]
+  const setWithdrawalSetting = (key) => (v) => setWithdrawalSettings((w) => ({ ...w, [key]: Number(v) }));
+
+  // ---- Life events (shared by every scenario when enabled) ----
+  const lifeEvents = useMemo(
+    () =>
+      eventsEnabled && lifeEventsList.length
+        ? lifeEventsList.map((ev) => ({
+            label: ev.label || "Event",
+            age: nz(Number(ev.age), currentAge),
+            amount: Math.max(0, nz(Number(ev.amount), 0)) * (ev.type === "out" ? -1 : 1),
+            real: !!ev.real,
+            everyYears: Math.max(0, nz(Number(ev.everyYears), 0)),
+            untilAge: Number(ev.untilAge) || undefined,
+            toSuper: !!ev.toSuper,
+          }))
+        : null,
+    [eventsEnabled, lifeEventsList, currentAge]
   );
-  const fees_diy = useMemo(
-    () => mk(0, diyFeePct, diyFixed),
-    [currentAge, retirementAge, horizonYears, initialAmount, monthlySave, returnPa, postRetRealPa, inflationPa, annualSpendToday, diyFeePct, diyFixed]
+  // ---- Savings plan (shared by every scenario when enabled) ----
+  const contributionPlan = useMemo(
+    () =>
+      savingsPlanEnabled
+        ? {
+            growth: savingsPlan.escalation === "fixed" ? savingsPlan.fixedPct / 100 : savingsPlan.escalation === "wage" ? savingsPlan.wageRealPct / 100 : 0,
+            wageLinked: savingsPlan.escalation === "wage",
+            bands: savingsPlan.bands.map((b) => ({ fromAge: Number(b.fromAge), toAge: Number(b.toAge), pct: Math.max(0, Number(b.pct)) / 100 })),
+          }
+        : null,
+    [savingsPlanEnabled, savingsPlan]
+  );
+  const setSavingsBand = (i, key, v) => setSavingsPlan((sp) => ({ ...sp, bands: sp.bands.map((b, j) => (j === i ? { ...b, [key]: v } : b)) }));
+
+  const EVENT_COLS = "minmax(90px,1.4fr) 64px minmax(90px,1fr) 86px 48px 56px 60px" + (superMode ? " 48px" : "") + " 32px";
+  const setLifeEvent = (i, key, v) => setLifeEventsList((list) => list.map((ev, j) => (j === i ? { ...ev, [key]: v } : ev)));
+
+  // ---- Super account (shared by every scenario when enabled) ----
+  const superAccount = useMemo(
+    () =>
+      superMode
+        ? {
+            startBalance: Math.max(0, superBalance),
+            concessionalAnnual: Math.max(0, superConcessional),
+            nonConcessionalAnnual: Math.max(0, superNonConcessional),
+            preservationAge,
+            concessionalCap: Math.max(0, concessionalCap),
+            nonConcessionalCap: Math.max(0, nonConcessionalCap),
+            marginalTax: clamp(marginalTaxPct, 0, 100) / 100,
+            ...(accountsMode
+              ? {
+                  returnPa: accountSettings.super.ownReturn ? accountSettings.super.returnPa / 100 : null,
+                  feePct: Math.max(0, accountSettings.super.feePct) / 100,
+                }
+              : {}),
+          }
+        : null,
+    [superMode, superBalance, superConcessional, superNonConcessional, preservationAge, concessionalCap, nonConcessionalCap, marginalTaxPct, accountsMode, accountSettings]
+  );
+
+  // ---- Account buckets (portfolio + cash; super joins via superAccount) ----
+  const accounts = useMemo(() => {
+    if (!accountsMode) return null;
+    const { portfolio, cash } = accountSettings;
+    return {
+      portfolio: { returnPa: portfolio.ownReturn ? portfolio.returnPa / 100 : null, feePct: Math.max(0, portfolio.feePct) / 100 },
+      cash: {
+        startBalance: Math.max(0, cash.startBalance),
+        monthly: Math.max(0, cash.monthly),
+        returnPa: cash.returnPa / 100,
+        feePct: Math.max(0, cash.feePct) / 100,
+      },
+    };
+  }, [accountsMode, accountSettings]);
+  const setAccount = (path, v) => setAccountSettings((a) => setIn(a, path, v));
+
+  // ---- Partner (shared by every scenario in couple mode) ----
+  const partner = useMemo(
+    () =>
+      coupleMode
+        ? {
+            currentAge: partnerAge,
+            retirementAge: partnerRetirementAge,
+            lifeExpectancy: partnerLifeExpectancy,
+            startAssets: Math.max(0, partnerInitial),
+            monthlySave: Math.max(0, partnerMonthlySave),
+            survivorSpendPct: clamp(survivorSpendPct, 0, 100) / 100,
+            primaryLifeExpectancy: lifeExpectancy,
+          }
+        : null,
+    [coupleMode, partnerAge, partnerRetirementAge, partnerLifeExpectancy, partnerInitial, partnerMonthlySave, survivorSpendPct, lifeExpectancy]
   );
-  const fees_advisor = useMemo(
-    () => mk(0, advisorFeePct, advisorFixed),
-    [currentAge, retirementAge, horizonYears, initialAmount, monthlySave, returnPa, postRetRealPa, inflationPa, annualSpendToday, advisorFeePct, advisorFixed]
+
+  // ---- Age Pension (shared by every scenario when enabled) ----
+  const agePension = useMemo(
+    () =>
+      pensionEnabled
+        ? { couple: pensionCouple, homeowner: pensionHomeowner, otherAssets: Math.max(0, pensionOtherAssets), rates: pensionRates }
+        : null,
+    [pensionEnabled, pensionCouple, pensionHomeowner, pensionOtherAssets, pensionRates]
   );
-  const ut_diy_now = useMemo(
-    () => mk(0, Math.max(0, diyFeePct), Math.max(0, diyFixed)),
-    [currentAge, retirementAge, horizonYears, initialAmount, monthlySave, returnPa, postRetRealPa, inflationPa, annualSpendToday, diyFeePct, diyFixed]
+
+  // ---- Fee schedules (the tiers replace the flat % fee of their side) ----
+  const diyFees = useMemo(() => feeScheduleParams(diySchedule), [diySchedule]);
+  const advisorFees = useMemo(() => feeScheduleParams(advisorSchedule), [advisorSchedule]);
+
+  // ---- Adviser value-add (DIY vs Adviser runs only) ----
+  const diyValueAdd = useMemo(
+    () => (alphaEnabled ? { behaviourGap: Math.max(0, alphaSettings.behaviourGapPct) / 100, downYearShare: clamp(alphaSettings.downYearsPct, 0, 100) / 100 } : null),
+    [alphaEnabled, alphaSettings.behaviourGapPct, alphaSettings.downYearsPct]
   );
-  const ut_diy_delay = useMemo(
-    () => mk(Math.max(0, delayYears), Math.max(0, diyFeePct), Math.max(0, diyFixed)),
-    [currentAge, retirementAge, horizonYears, initialAmount, monthlySave, returnPa, postRetRealPa, inflationPa, annualSpendToday, delayYears, diyFeePct, diyFixed]
+  const advisorValueAdd = useMemo(
+    () => (alphaEnabled ? { returnAlpha: adviserAlpha(alphaSettings) } : null),
+    [alphaEnabled, alphaSettings.taxPct, alphaSettings.rebalancingPct, alphaSettings.productPct]
   );
-  const ut_adv_now = useMemo(
-    () => mk(0, Math.max(0, advisorFeePct), Math.max(0, advisorFixed)),
-    [currentAge, retirementAge, horizonYears, initialAmount, monthlySave, returnPa, postRetRealPa, inflationPa, annualSpendToday, advisorFeePct, advisorFixed]
+
+  // ---- Scenarios ----
+  const mkParams = (d, feeP, feeF, schedule = null, valueAdd = null) => ({
+    currentAge,
+    retirementAge,
+    horizonYears,
+    startAssets: Math.max(0, initialAmount),
+    monthlySave,
+    preAnnualGross: Math.max(0, returnPa) / 100,
+    postRealAnnualGross: postRetRealPa / 100,
+    inflationAnnual: Math.max(0, inflationPa) / 100,
+    annualSpendToday: Math.max(0, annualSpendToday),
+    delayYears: d,
+    feeAnnualPre: schedule ? 0 : Math.max(0, feeP) / 100,
+    feeAnnualPost: schedule ? 0 : Math.max(0, feeP) / 100,
+    fixedFeeAnnual: Math.max(0, feeF),
+    feeSchedule: schedule,
+    superAccount,
+    agePension,
+    accounts,
+    drawdownOrder,
+    partner,
+    glidePath,
+    withdrawal,
+    lifeEvents,
+    contributionPlan,
+    ...valueAdd,
+  });
+  // ---- Engine request: every run and analysis below is computed off the main thread (see useEngine) ----
+  const diyPlan = mkParams(0, diyFeePct, diyFixed, diyFees); // the DIY Start Now plan the analyses work on
+  const tabPlan = tab === TABS.COMPOUND ? mkParams(0, diyFeePct, 0) : diyPlan; // Monte Carlo follows the tab
+  const flatReturns = flatReturnsApply(diyPlan); // false while a glide path or the portfolio's own return sets the returns
+  const goalBlocked = goal.unknown === "returnPa" && !flatReturns; // the required return would move nothing
+  // Return axes only move the flat returns; while they are replaced, the first free input stands in.
+  const heatAxes = useMemo(() => {
+    const open = (key) => flatReturns || !HEATMAP_INPUTS[key].flatReturn;
+    const spare = (taken) => Object.keys(HEATMAP_INPUTS).find((k) => open(k) && k !== taken);
+    const y = open(heatSettings.y) ? heatSettings.y : spare(heatSettings.x);
+    return { x: open(heatSettings.x) ? heatSettings.x : spare(y), y };
+  }, [flatReturns, heatSettings.x, heatSettings.y]);
+  // Same limits as the input each unknown is applied to.
+  const goalRange = useMemo(
+    () => ({ monthlySave: [0, 25_000], retirementAge: [currentAge + 1, lifeExpectancy - 1], returnPa: [0, 20], initialAmount: [0, 5_000_000] })[goal.unknown],
+    [goal.unknown, currentAge, lifeExpectancy]
   );
+  const compDelay = mkParams(Math.max(0, delayYears), diyFeePct, 0); // also the plan the sustainable spend is solved on
+  const engineRequest = {
+    runs: {
+      comp_now: mkParams(0, diyFeePct, 0),
+      comp_delay: compDelay,
+      fees_diy: mkParams(0, diyFeePct, diyFixed, diyFees, diyValueAdd),
+      fees_advisor: mkParams(0, advisorFeePct, advisorFixed, advisorFees, advisorValueAdd),
+      ut_diy_now: mkParams(0, Math.max(0, diyFeePct), Math.max(0, diyFixed), diyFees, diyValueAdd),
+      ut_diy_delay: mkParams(Math.max(0, delayYears), Math.max(0, diyFeePct), Math.max(0, diyFixed), diyFees, diyValueAdd),
+      ut_adv_now: mkParams(0, Math.max(0, advisorFeePct), Math.max(0, advisorFixed), advisorFees, advisorValueAdd),
+    },
+    sustainable: { params: compDelay, planEndAge },
+    mc: mcEnabled
+      ? { params: tabPlan, options: { trials: clamp(mcTrials, 100, 10000), volatility: Math.max(0, mcVolPct) / 100, seed: mcSeed, lifeExpectancy: planEndAge } }
+      : null,
+    // the sensitivity metric only changes the view, so it isn't sent
+    sens: sensEnabled ? { params: diyPlan, shifts: { rate: sensSettings.rate, amount: sensSettings.amount, years: sensSettings.years }, planEndAge } : null,
+    // heatmap on the DIY Start Now plan, so the current delay is 0
+    heat: heatEnabled
+      ? {
+          params: diyPlan,
+          settings: { ...heatSettings, ...heatAxes },
+          current: { returnPa, postRetRealPa, inflationPa, monthlySave, annualSpendToday, initialAmount, retirementAge, diyFeePct, delayYears: 0 },
+          planEndAge,
+        }
+      : null,
+    goal: goalEnabled && !goalBlocked ? { params: diyPlan, goal, unknown: goal.unknown, range: goalRange, planEndAge } : null,
+    // break-even: DIY keeps its behaviour gap; the adviser's alpha is what's solved for
+    breakEven: alphaEnabled
+      ? { diy: mkParams(0, diyFeePct, diyFixed, diyFees, diyValueAdd), adviser: mkParams(0, advisorFeePct, advisorFixed, advisorFees), metric: alphaSettings.metric, planEndAge }
+      : null,
+  };
+  const { result: engine, solved, busy: engineBusy, error: engineError, stale: engineStale } = useEngine(engineRequest);
+  // Nothing to draw until a first run succeeds; PlannerBoundary shows the error instead.
+  if (!engine) throw new Error(engineError || "the projections could not be calculated");
 
+  // ---- Scenarios ----
+  const { comp_now, comp_delay, fees_diy, fees_advisor, ut_diy_now, ut_diy_delay, ut_adv_now } = engine.runs;
   const ut_now = ut_diy_now;
   const ut_delay = ut_diy_delay;
 
+  // ---- Monte Carlo on the active tab's base scenario ----
+  const mc = engine.mc;
+
   // ---- Sustainable Spend (binary search)
-  const sustainableSpendToday = useMemo(() => {
-    const p = {
-      currentAge,
-      retirementAge,
-      horizonYears,
-      startAssets: Math.max(0, initialAmount),
-      monthlySave,
-      preAnnualGross: Math.max(0, returnPa) / 100,
-      postRealAnnualGross: postRetRealPa / 100,
-      inflationAnnual: Math.max(0, inflationPa) / 100,
-      delayYears: Math.max(0, delayYears),
-      feeAnnualPre: Math.max(0, diyFeePct) / 100,
-      feeAnnualPost: Math.max(0, diyFeePct) / 100,
-      fixedFeeAnnual: 0,
-    };
-    const sim = (s) => simulate({ ...p, annualSpendToday: s });
-    const zero = sim(0);
-    if (zero.depletedAge && zero.depletedAge <= lifeExpectancy) return 0;
-    let lo = 0,
-      hi = 100000,
-      max = 5e7,
-      tol = 0.1;
-    const lasts = (s) => {
-      const t = sim(s);
-      const d = t.depletedAgeExact == null ? Infinity : t.depletedAgeExact;
-      return d >= lifeExpectancy - tol;
-    };
-    while (lasts(hi) && hi < max) hi *= 2;
-    if (hi >= max) return hi;
-    for (let i = 0; i < 34; i++) {
-      const m = (lo + hi) / 2;
-      if (lasts(m)) lo = m;
-      else hi = m;
-    }
-    return Math.round(lo);
-  }, [currentAge, retirementAge, lifeExpectancy, horizonYears, initialAmount, monthlySave, returnPa, postRetRealPa, inflationPa, delayYears, diyFeePct]);
+  const sustainableSpendToday = engine.sustainable;
+
+  // ---- Sensitivity (on the DIY Start Now plan) ----
+  const sens = engine.sens;
+  const tornado = useMemo(() => {
+    if (!sens) return [];
+    const m = sensSettings.metric;
+    const base = sens.base[m];
+    return sens.rows
+      .map((r) => ({
+        label: `${r.label} ±${r.shift}${SENSITIVITY_UNITS[r.kind]}`,
+        lowered: r.low[m] - base,
+        raised: r.high[m] - base,
+        loweredValue: r.low[m],
+        raisedValue: r.high[m],
+      }))
+      .sort((a, b) => Math.abs(b.raised - b.lowered) - Math.abs(a.raised - a.lowered));
+  }, [sens, sensSettings.metric]);
+  const fmtSens = (v) => (sensSettings.metric === "depletionAge" ? `age ${v.toFixed(1)}` : fmtMoney(v));
+
+  // ---- Heatmap ----
+  const heat = useMemo(() => {
+    if (!engine.heat) return null;
+    const values = engine.heat.cells.flat();
+    return { ...engine.heat, current: solved.heat.current, min: Math.min(...values), max: Math.max(...values) };
+  }, [engine.heat, solved]);
+  const fmtHeatAxis = (key, v) => (HEATMAP_INPUTS[key].money ? fmtAxis(v) : key === "retirementAge" || key === "delayYears" ? String(v) : `${v}%`);
+  const fmtHeatCell = (v) => (heatSettings.metric === "depletionAge" ? (v >= planEndAge ? `${planEndAge}+` : v.toFixed(1)) : fmtAxis(v));
+  // Picking the other axis's input swaps the two.
+  const setHeatAxis = (axis, key) =>
+    setHeatSettings((h) => {
+      const other = axis === "x" ? "y" : "x";
+      return { ...h, [axis]: key, [other]: h[other] === key ? h[axis] : h[other] };
+    });
+
+  // ---- Goal solver (on the DIY Start Now plan) ----
+  const goalSolution = engine.goal;
+  const goalPending = !!engineRequest.goal && !solved.goal; // switched on, first answer not back yet
+  const goalCurrent = { monthlySave, retirementAge, returnPa, initialAmount }[goal.unknown];
+  const fmtGoal = (v) => (goal.unknown === "retirementAge" ? `age ${v}` : goal.unknown === "returnPa" ? `${v}%` : fmtMoney(v));
+  const applyGoal = () => {
+    if (goalSolution == null) return;
+    ({ monthlySave: setMonthlySave, retirementAge: setRetirementAge, returnPa: setReturnPa, initialAmount: setInitialAmount })[goal.unknown](goalSolution);
+    if (goal.target === "spend") setAnnualSpendToday(goal.spend);
+  };
+
+  // ---- Break-even adviser alpha ----
+  const breakEven = engine.breakEven;
+  const showAlpha = alphaEnabled && tab !== TABS.COMPOUND;
+  const breakEvenText = !breakEven
+    ? ""
+    : breakEven.alpha == null
+      ? `even ${ALPHA_MAX * 100}% p.a. of adviser value-add would not match DIY`
+      : breakEven.alpha === 0
+        ? "the adviser matches DIY without any extra return"
+        : `the adviser needs about ${(breakEven.alpha * 100).toFixed(2)}% p.a. of extra return to match DIY`;
+  const fmtBreakEven = (v) => (alphaSettings.metric === "depletionAge" ? `age ${v.toFixed(1)}` : fmtMoney(v));
+
+  // ---- Dollar basis: future (nominal) dollars, or today's dollars deflated along the inflationPa path ----
+  const todays = dollarBasis === "today";
+  const cur = regionInfo.short;
+  const basisTag = todays ? `today's ${cur}` : `future ${cur}`;
+  const basisName = todays ? `Today's ${cur}` : `Future ${cur}`;
+  const cpiAt = (age) => Math.pow(1 + Math.max(0, inflationPa) / 100, Math.max(0, age - currentAge));
+  const inBasis = (v, age) => (todays ? (v || 0) / cpiAt(age) : v || 0);
+  const balanceIn = (row) => (row ? (todays ? row.real : row.nominal) : 0);
+  const endIn = (res) => (todays ? res.endReal : res.endNom);
+  // Lifetime totals: each yearly row's amount in the chosen basis.
+  const sumIn = (rows, pick) => rows.reduce((a, r) => a + inBasis(pick(r), r.age), 0);
+  const fmtIn = (v) => `${fmtMoney(v)} (${basisTag})`;
 
   // ---- Chart rows & ticks ----
   const startAge = useMemo(() => Math.round(currentAge), [currentAge]);
-  const endAge = useMemo(() => Math.round(lifeExpectancy), [lifeExpectancy]);
+  const endAge = useMemo(() => Math.round(planEndAge), [planEndAge]);
   const ageTicks = useMemo(() => {
     const span = Math.max(1, endAge - startAge);
     const maxTicks = 12;
@@ -393,35 +1016,73 @@ export default function App() {
   };
 
   const { A, B } = selectRows();
+  const showIncome = tab === TABS.TARGET; // spending paid each year, on its own axis
+  const showFees = tab === TABS.FEES; // cumulative fees paid, on its own axis
+
+  // ---- Cashflow ledger for the active comparison ----
+  const ledgerRun = ledgerSide === "B" && B?.length ? B : A;
+  const ledgerRows = useMemo(() => {
+    const rows = ledgerRun.slice(1).map((r) => ({ age: r.age, ...Object.fromEntries(Object.entries(r.ledger).map(([k, v]) => [k, inBasis(v, r.age)])) }));
+    const { key, dir } = ledgerSort;
+    return rows.sort((a, b) => (a[key] - b[key]) * dir);
+  }, [ledgerRun, ledgerSort, todays, inflationPa, currentAge]);
+  const ledgerColumns = LEDGER_COLUMNS.filter(([key]) => key !== "events" || ledgerRows.some((r) => r.events));
+  const ledgerTotals = ledgerRows.reduce((t, r) => {
+    ledgerColumns.forEach(([key, , sign]) => sign && (t[key] = (t[key] || 0) + r[key]));
+    return t;
+  }, {});
+  const sortLedger = (key) => setLedgerSort((s) => ({ key, dir: s.key === key ? -s.dir : 1 }));
+
+  const eventMarkers = useMemo(() => lifeEventOccurrences(lifeEvents, currentAge, planEndAge), [lifeEvents, currentAge, planEndAge]);
   const chartRows = useMemo(() => {
     const map = new Map();
-    A.forEach((r) => map.set(r.age, { age: r.age, baseNominal: r.nominal, baseReal: r.real }));
+    const fees = { A: 0, B: 0 }; // cumulative, each year's fees in the chosen basis
+    A.forEach((r) => {
+      const row = { age: r.age, baseValue: balanceIn(r), baseOther: todays ? r.nominal : r.real };
+      if (showIncome && r.age > retirementAge) row.baseIncome = inBasis(r.income, r.age);
+      if (showFees) row.baseFees = fees.A += inBasis(r.ledger.pctFees + r.ledger.fixedFees, r.age);
+      BUCKET_STYLE.forEach(([id]) => {
+        if (r[`${id}Nominal`] != null) row[`stack_${id}`] = inBasis(r[`${id}Nominal`], r.age);
+      });
+      map.set(r.age, row);
+    });
     if (B && B.length) {
       B.forEach((r) => {
         const p = map.get(r.age) || { age: r.age };
-        map.set(r.age, { ...p, compareNominal: r.nominal });
+        map.set(r.age, {
+          ...p,
+          compareValue: balanceIn(r),
+          ...(showIncome && r.age > retirementAge ? { compareIncome: inBasis(r.income, r.age) } : {}),
+          ...(showFees ? { compareFees: (fees.B += inBasis(r.ledger.pctFees + r.ledger.fixedFees, r.age)) } : {}),
+        });
+      });
+    }
+    if (mc) {
+      mc.rows.forEach((r) => {
+        const p = map.get(r.age) || { age: r.age };
+        map.set(r.age, { ...p, mcBand: [inBasis(r.p10, r.age), inBasis(r.p90, r.age)], mcMedian: inBasis(r.p50, r.age) });
       });
     }
     return Array.from(map.values()).sort((x, y) => x.age - y.age);
-  }, [A, B]);
+  }, [A, B, mc, showIncome, showFees, retirementAge, todays, inflationPa, currentAge]);
 
   // ---- Labels & key metrics ----
   const baseLabel =
     tab === TABS.COMPOUND
-      ? "Start Now (Nominal)"
+      ? `Start Now (${basisName})`
       : tab === TABS.FEES
-      ? "DIY — Net (Nominal)"
+      ? `DIY — Net (${basisName})`
       : compareAdv
-      ? "DIY — Start Now (Nominal)"
-      : "Start Now — with Spend (Nominal)";
+      ? `DIY — Start Now (${basisName})`
+      : `Start Now — with Spend (${basisName})`;
   const compareLabel =
     tab === TABS.COMPOUND
-      ? `Delay ${delayYears}y (Nominal)`
+      ? `Delay ${delayYears}y (${basisName})`
       : tab === TABS.FEES
-      ? "Adviser — Net (Nominal)"
+      ? `Adviser — Net (${basisName})`
       : compareAdv
-      ? "Adviser — Start Now (Nominal)"
-      : `Delay ${delayYears}y — with Spend (Nominal)`;
+      ? `Adviser — Start Now (${basisName})`
+      : `Delay ${delayYears}y — with Spend (${basisName})`;
 
   const isTargetStartVsDelay = tab === TABS.TARGET && !compareAdv;
   const isFeesTab = tab === TABS.FEES;
@@ -429,71 +1090,50 @@ export default function App() {
   const compareDash = isTargetStartVsDelay ? "8 4" : isFeesTab ? "4 4" : undefined;
 
   const atRet = (rows) => rows.find((r) => r.age === retirementAge) || rows.find((r) => r.age > retirementAge) || rows[rows.length - 1];
+  const toRetRows = (rows) => rows.filter((r) => r.age <= atRet(rows).age); // yearly rows up to the retirement row
   const atRet_now = atRet(comp_now.rows);
   const atRet_delay = atRet(comp_delay.rows);
   const atRet_diy = atRet(fees_diy.rows);
   const atRet_adv = atRet(fees_advisor.rows);
+
+  // Spending actually paid by the Start Now plan, in the chosen basis.
+  const incomeStats = useMemo(() => {
+    const paid = ut_now.rows.filter((r) => r.age > retirementAge && r.age <= planEndAge).map((r) => ({ age: r.age, income: todays ? r.incomeReal : r.income }));
+    if (!paid.length) return null;
+    const lowest = paid.reduce((a, r) => (r.income < a.income ? r : a), paid[0]);
+    return {
+      first: paid[0].income,
+      lowest: lowest.income,
+      lowestAge: lowest.age,
+      average: paid.reduce((a, r) => a + r.income, 0) / paid.length,
+    };
+  }, [ut_now, retirementAge, planEndAge, todays]);
   const atRet_ut_diy = atRet(ut_diy_now.rows);
   const atRet_ut_adv = atRet(ut_adv_now.rows);
 
-  const costOfDelayAtRet = Math.max(0, (atRet_now?.nominal || 0) - (atRet_delay?.nominal || 0));
-  const feeDragAtRet = Math.max(0, (atRet_diy?.nominal || 0) - (atRet_adv?.nominal || 0));
-  const feeDragAtHorizon = Math.max(0, fees_diy.endNom - fees_advisor.endNom);
-  const feeDragRetPct = (atRet_diy?.nominal || 0) > 0 ? Math.round((feeDragAtRet / atRet_diy.nominal) * 100) : 0;
-  const feeDragHznPct = (fees_diy.endNom || 0) > 0 ? Math.round((feeDragAtHorizon / fees_diy.endNom) * 100) : 0;
+  const costOfDelayAtRet = Math.max(0, balanceIn(atRet_now) - balanceIn(atRet_delay));
+  const feeDragAtRet = Math.max(0, balanceIn(atRet_diy) - balanceIn(atRet_adv));
+  const feeDragAtHorizon = Math.max(0, endIn(fees_diy) - endIn(fees_advisor));
+  const feeDragRetPct = balanceIn(atRet_diy) > 0 ? Math.round((feeDragAtRet / balanceIn(atRet_diy)) * 100) : 0;
+  const feeDragHznPct = endIn(fees_diy) > 0 ? Math.round((feeDragAtHorizon / endIn(fees_diy)) * 100) : 0;
 
   // ---- Enhanced DIY vs Adviser Analysis ----
-  const calculateTotalFeesPaid = (runOutAge, feePct, fixedFee) => {
-    if (!runOutAge || runOutAge > lifeExpectancy) return 0;
-    let totalFees = 0;
-    const startYear = Math.floor(currentAge);
-    const endYear = Math.floor(runOutAge);
-    
-    // Calculate fees year by year based on actual balances
-    for (let age = startYear; age < endYear; age++) {
-      // Find the row for this age (or closest)
-      const yearRow = ut_adv_now.rows.find(r => r.age === age);
-      if (!yearRow) continue;
-      
-      const balanceAtYearStart = yearRow.nominal;
-      
-      // Annual percentage fee (applied to balance)
-      const pctFee = balanceAtYearStart * (feePct / 100);
-      // Fixed fee
-      const fixed = fixedFee;
-      totalFees += pctFee + fixed;
-    }
-    
-    // Add partial year if run-out age is not a whole number
-    if (runOutAge % 1 !== 0) {
-      const finalRow = ut_adv_now.rows.find(r => r.age >= Math.floor(runOutAge));
-      if (finalRow) {
-        const partialBalance = finalRow.nominal;
-        const partialPctFee = partialBalance * (feePct / 100) * (runOutAge % 1);
-        const partialFixed = fixedFee * (runOutAge % 1);
-        totalFees += partialPctFee + partialFixed;
-      }
-    }
-    
-    return Math.round(totalFees);
-  };
-
   const adviserRunOutAge = ut_adv_now.depletedAge;
   const diyRunOutAge = ut_diy_now.depletedAge;
   const adviserRunsOutEarly = adviserRunOutAge && (!diyRunOutAge || adviserRunOutAge < diyRunOutAge);
   const yearsEarly = adviserRunsOutEarly && diyRunOutAge 
     ? diyRunOutAge - adviserRunOutAge 
     : adviserRunsOutEarly && !diyRunOutAge 
-    ? lifeExpectancy - adviserRunOutAge 
+    ? planEndAge - adviserRunOutAge 
     : 0;
 
-  const totalFeesPaid = adviserRunsOutEarly 
-    ? calculateTotalFeesPaid(adviserRunOutAge, advisorFeePct, advisorFixed)
-    : 0;
+  // Exact % and fixed fees from the run's yearly ledger (nothing is charged once the money has run out).
+  const feesPaid = (res) => Math.round(sumIn(res.rows, (r) => r.ledger.pctFees + r.ledger.fixedFees));
+  const totalFeesPaid = adviserRunsOutEarly ? feesPaid(ut_adv_now) : 0;
 
   // Find DIY balance at adviser run-out age
   const diyBalanceAtAdviserRunOut = adviserRunsOutEarly && adviserRunOutAge
-    ? (ut_diy_now.rows.find(r => r.age >= adviserRunOutAge) || ut_diy_now.rows[ut_diy_now.rows.length - 1])?.nominal || 0
+    ? balanceIn(ut_diy_now.rows.find(r => r.age >= adviserRunOutAge) || ut_diy_now.rows[ut_diy_now.rows.length - 1])
     : 0;
 
   const opportunityCost = adviserRunsOutEarly ? diyBalanceAtAdviserRunOut : 0;
@@ -503,64 +1143,165 @@ export default function App() {
   const realRetirementBalance = nz(atRet_now?.real, 0);
   const nominalEndBalance = nz(comp_now.endNom, 0);
   const realEndBalance = nz(comp_now.endReal, 0);
+  const retirementBalance = todays ? realRetirementBalance : nominalRetirementBalance;
+  const endBalance = todays ? realEndBalance : nominalEndBalance;
+  const otherTag = todays ? `future ${cur}` : `today's ${cur}`;
+  const principalInvested = sumIn(toRetRows(comp_now.rows), (r) => r.ledger.contributions);
+  const sustainableSpendShown = spendInBasis(sustainableSpendToday, todays, cpiAt(retirementAge));
+  const spendTag = todays ? `today's ${cur}` : `future ${cur} at ${retirementAge}`;
+  const superAtRet = comp_now.super && {
+    super: inBasis(atRet_now?.superNominal, atRet_now?.age),
+    nonSuper: inBasis(atRet_now?.nonSuperNominal, atRet_now?.age),
+    contributionsTax: sumIn(toRetRows(comp_now.rows), (r) => r.superTax.contributions),
+    earningsTax: sumIn(toRetRows(comp_now.rows), (r) => r.superTax.earnings),
+    excess: sumIn(toRetRows(comp_now.rows), (r) => r.superTax.excess),
+  };
+  const pensionPaid = ut_now.agePension ? sumIn(ut_now.rows, (r) => r.pension || 0) : 0;
+  const eventsNet = ut_now.lifeEvents ? ut_now.lifeEvents.reduce((a, ev) => a + inBasis(ev.amount + ev.shortfall, ev.age), 0) : 0;
+  const horizonAge = ut_now.rows[ut_now.rows.length - 1].age;
 
   // ---- Exports ----
-  const pdfRef = useRef(null);
-
-  const exportPDF = async () => {
-    const n = pdfRef.current;
-    if (!n) return;
-    const canvas = await html2canvas(n, { scale: 2, backgroundColor: theme.pdfBg || theme.pageBg });
-    const imgData = canvas.toDataURL("image/png");
-    const pdf = new jsPDF({ orientation: "portrait", unit: "pt", format: "a4" });
-    const pageWidth = pdf.internal.pageSize.getWidth();
-    const pageHeight = pdf.internal.pageSize.getHeight();
-
-    const imgWidth = pageWidth - 40; // margins
-    const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-    if (imgHeight <= pageHeight - 40) {
-      pdf.addImage(imgData, "PNG", 20, 20, imgWidth, imgHeight);
-    } else {
-      // paginate
-      let remainingHeight = imgHeight;
-      const ratio = imgWidth / canvas.width;
-      const sliceHeight = (pageHeight - 40) / ratio;
-      const pageCanvas = document.createElement("canvas");
-      pageCanvas.width = canvas.width;
-      pageCanvas.height = sliceHeight;
-      const pageCtx = pageCanvas.getContext("2d");
-      let sy = 0;
-      while (remainingHeight > 0) {
-        pageCtx.clearRect(0, 0, pageCanvas.width, pageCanvas.height);
-        pageCtx.drawImage(canvas, 0, sy, canvas.width, sliceHeight, 0, 0, pageCanvas.width, pageCanvas.height);
-        const pageImg = pageCanvas.toDataURL("image/png");
-        pdf.addImage(pageImg, "PNG", 20, 20, imgWidth, pageHeight - 40);
-        remainingHeight -= pageHeight - 40;
-        sy += sliceHeight;
-        if (remainingHeight > 0) pdf.addPage();
-      }
-    }
+  const exportFileName = (ext) => `${client ? client.replace(/[^a-z0-9]+/gi, "_") + "_" : ""}UltimateTarget_${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+  const downloadBlob = (blob, fn) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fn;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  // Assumptions (the full snapshot) plus the yearly rows of every computed scenario.
+  const exportSheets = () => {
+    const runs = { comp_now, comp_delay, fees_diy, fees_advisor, ut_diy_now, ut_diy_delay, ut_adv_now };
+    const inBasisRows = (rows) => rows.map((r) => ({ basis: basisTag, ...(todays ? todaysRow(r, cpiAt(r.age)) : r) }));
+    return [
+      { name: "Assumptions", rows: [["Field", "Value"], ["exportedAt", new Date().toISOString()], ...flattenFields(snapshot())] },
+      ...EXPORT_SERIES.map(([key, name]) => ({ name, rows: seriesTable(inBasisRows(runs[key].rows)) })),
+    ];
+  };
+
+  const exportCSV = () => {
+    // BOM so Excel reads the file as UTF-8 (em dashes, emoji in labels).
+    downloadBlob(new Blob(["\ufeff", toCsv(exportSheets())], { type: "text/csv;charset=utf-8" }), exportFileName("csv"));
+  };
 
-    const fn = `${client ? client.replace(/[^a-z0-9]+/gi, "_") + "_" : ""}UltimateTarget_${new Date()
-      .toISOString()
-      .slice(0, 10)}.pdf`;
-    pdf.save(fn);
+  const exportXLSX = () => {
+    const type = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+    downloadBlob(new Blob([buildXlsx(exportSheets())], { type }), exportFileName("xlsx"));
   };
 
+  // Plain data for the client report; pdfReport.js does the drawing (vector, always light, A4).
+  const feeText = (p, f, schedule) => (schedule.enabled ? feeScheduleText(schedule, f, fmtMoney) : `${p}% + ${fmtMoney(f)} /yr`);
+  const reportData = () => {
+    const pct = (v) => `${v}%`;
+    const lasts = (res) => (res.depletedAge ? `about age ${res.depletedAge}` : `beyond age ${planEndAge}`);
+    const line = (label, res, color, dashed = false) => ({ label, color, dashed, points: res.rows.map((r) => [r.age, balanceIn(r)]) });
+    const markers = [{ age: retirementAge, label: "Retirement" }];
+    const [blue, amber, red] = REPORT_COLORS;
+    const diff = (a, b) => `${b - a < 0 ? "-" : "+"}${fmtMoney(Math.abs(b - a))}`;
+
+    const assumptions = [
+      ["Current age", currentAge],
+      ["Retirement age", retirementAge],
+      ["Life expectancy", lifeExpectancy],
+      coupleMode && ["Partner", `age ${partnerAge}, retiring at ${partnerRetirementAge}, life expectancy ${partnerLifeExpectancy}; survivor spends ${survivorSpendPct}%`],
+      ["Plan ends at age", planEndAge],
+      ["Starting balance", fmtMoney(initialAmount)],
+      ["Monthly savings", fmtMoney(monthlySave)],
+      savingsPlanEnabled && ["Savings plan", `${ESCALATION_MODES[savingsPlan.escalation]}, ${savingsPlan.bands.length} career ${savingsPlan.bands.length === 1 ? "band" : "bands"}`],
+      ["Return before retirement (p.a.)", pct(returnPa)],
+      ["Real return after retirement (p.a.)", pct(postRetRealPa)],
+      ["Inflation (p.a.)", pct(inflationPa)],
+      ["Dollar basis", todays ? `Today's dollars (future amounts deflated at ${pct(inflationPa)} p.a.)` : "Future (nominal) dollars"],
+      glideEnabled && ["Glide path", glide.points.map((pt) => `age ${pt.age}: ${pt.growth}% growth`).join(", ")],
+      ["Region", `${REGIONS[region].label.replace(/^\S+ /, "")} (${regionInfo.symbol})`],
+      [moneyText("Retirement spending (today $ p.a.)"), fmtMoney(annualSpendToday)],
+      ["Withdrawal strategy", WITHDRAWAL_STRATEGIES[withdrawalStrategy]],
+      ["Delay compared", `${delayYears} ${delayYears === 1 ? "year" : "years"}`],
+      ["DIY fees", feeText(diyFeePct, diyFixed, diySchedule)],
+      ["Adviser fees", feeText(advisorFeePct, advisorFixed, advisorSchedule)],
+      alphaEnabled && ["Adviser value-add", `${pct(+(adviserAlpha(alphaSettings) * 100).toFixed(2))} p.a. extra return; DIY loses ${pct(alphaSettings.behaviourGapPct)} in down years (assumed ${pct(alphaSettings.downYearsPct)} of years)`],
+      superMode && ["Super", `${fmtMoney(superBalance)} balance, ${fmtMoney(superConcessional)} concessional and ${fmtMoney(superNonConcessional)} non-concessional /yr, preservation age ${preservationAge}`],
+      pensionEnabled && ["Age Pension", `${pensionCouple ? "couple" : "single"}, ${pensionHomeowner ? "homeowner" : "non-homeowner"}, other assets ${fmtMoney(pensionOtherAssets)}`],
+      accountsMode && ["Accounts", `drawn ${DRAWDOWN_ORDERS[drawdownOrder]}`],
+      eventsEnabled && lifeEvents.length > 0 && ["Life events", lifeEvents.map((ev) => `${ev.label} (age ${ev.age}, ${fmtMoney(ev.amount)})`).join("; ")],
+    ].filter(Boolean);
+
+    const insights = [
+      `Retirement at age ${retirementAge}, ${Math.max(0, retirementAge - currentAge)} years away; life expectancy age ${lifeExpectancy}.`,
+      `Saving ${fmtMoney(annualSavings)} a year; total principal invested ${fmtIn(principalInvested)}.`,
+      `Balance at retirement ${fmtIn(retirementBalance)} (${fmtMoney(todays ? nominalRetirementBalance : realRetirementBalance)} in ${otherTag}); projected end balance ${fmtIn(endBalance)} (${fmtMoney(todays ? nominalEndBalance : realEndBalance)} in ${otherTag}).`,
+      `Drawdown outlook: funds are projected to last ${ut_now.depletedAge ? `until about age ${ut_now.depletedAge}` : `beyond age ${planEndAge}`}.`,
+      superAtRet && `Super at retirement ${fmtIn(superAtRet.super)}; contributions tax ${fmtMoney(superAtRet.contributionsTax)}, earnings tax ${fmtMoney(superAtRet.earningsTax)}.`,
+      ut_now.agePension && (ut_now.agePension.startAge != null ? `Age Pension tops up spending from age ${ut_now.agePension.startAge}, about ${fmtIn(pensionPaid)} in total.` : "Age Pension is not payable under the assets and income tests with these settings."),
+      incomeStats && `Income paid (${WITHDRAWAL_STRATEGIES[withdrawalStrategy]}, ${basisTag}) starts at ${fmtMoney(incomeStats.first)}, averages ${fmtMoney(incomeStats.average)} and falls as low as ${fmtMoney(incomeStats.lowest)} at age ${incomeStats.lowestAge}.`,
+      `Maximum sustainable spending: ${fmtMoney(sustainableSpendShown)} a year (${spendTag}), lasting to about age ${planEndAge}.`,
+      `Cost of waiting: delaying ${delayYears} years reduces the balance at retirement by about ${fmtIn(costOfDelayAtRet)}.`,
+      adviserRunsOutEarly
+        ? `The adviser plan runs out of money at age ${adviserRunOutAge}, ${yearsEarly} ${yearsEarly === 1 ? "year" : "years"} earlier than DIY, after ${fmtIn(totalFeesPaid)} in fees; DIY still holds ${fmtIn(diyBalanceAtAdviserRunOut)} at that age.`
+        : `Adviser fees leave about ${fmtIn(feeDragAtRet)} less at retirement (${feeDragRetPct}% drag) and ${fmtIn(feeDragAtHorizon)} less over the full horizon (~${feeDragHznPct}%).`,
+      breakEven && `Break-even: ${breakEvenText} (${OUTCOME_METRICS[alphaSettings.metric].toLowerCase()} ${fmtBreakEven(breakEven.target)}).`,
+    ].filter(Boolean);
+
+    return {
+      title: "Ultimate Target",
+      subtitle: "Retirement projection report",
+      client,
+      adviser: session.name,
+      currency: cur,
+      preparedOn: new Date().toLocaleDateString(regionInfo.locale, { day: "numeric", month: "long", year: "numeric" }),
+      assumptions,
+      charts: [
+        { title: `${TABS.COMPOUND} — Start now vs delay`, note: basisName, series: [line("Start now", comp_now, blue), line(`Delay ${delayYears}y`, comp_delay, amber, true)], markers },
+        { title: `${TABS.FEES} — DIY vs Adviser`, note: `${basisName}, net of fees`, series: [line("DIY", fees_diy, blue), line("Adviser", fees_advisor, red, true)], markers },
+        {
+          title: `${TABS.TARGET} — with retirement spending`,
+          note: basisName,
+          series: [line("DIY — start now", ut_diy_now, blue), line(`DIY — delay ${delayYears}y`, ut_diy_delay, amber, true), line("Adviser — start now", ut_adv_now, red)],
+          markers,
+        },
+      ],
+      insights,
+      feeTable: {
+        head: [basisName, "DIY", "Adviser", "Difference"],
+        rows: [
+          ["Fees", feeText(diyFeePct, diyFixed, diySchedule), feeText(advisorFeePct, advisorFixed, advisorSchedule), ""],
+          [`Balance at retirement (age ${retirementAge})`, fmtMoney(balanceIn(atRet_diy)), fmtMoney(balanceIn(atRet_adv)), diff(balanceIn(atRet_diy), balanceIn(atRet_adv))],
+          ["Balance at end of plan", fmtMoney(endIn(fees_diy)), fmtMoney(endIn(fees_advisor)), diff(endIn(fees_diy), endIn(fees_advisor))],
+          ["Total fees paid", fmtMoney(feesPaid(fees_diy)), fmtMoney(feesPaid(fees_advisor)), diff(feesPaid(fees_diy), feesPaid(fees_advisor))],
+          ["Money lasts until (with spending)", lasts(ut_diy_now), lasts(ut_adv_now), ""],
+        ],
+      },
+      disclaimer: `Educational only — not financial advice. Projections are estimates built on the assumptions listed in this report; actual returns, inflation, fees and legislation will differ. © ${new Date().getFullYear()} Ultimate Target.`,
+    };
+  };
+
+  const exportPDF = () => {
+    buildReport(jsPDF, reportData()).save(exportFileName("pdf"));
+  };
+
+  // Exports read engine.runs, so they wait until the projections match the inputs on screen.
+  const exportWait = engineError ? "Export is unavailable until the projections recalculate" : "Export is available once the projections finish recalculating";
+
   // ---- UI ----
-  const QuickButton = ({ onClick, children, title, className }) => (
+  const QuickButton = ({ onClick, children, title, className, disabled = false }) => (
     <button
       onClick={onClick}
       title={title}
       className={className}
+      disabled={disabled}
       style={{
         border: `1px solid ${theme.border}`,
         background: theme.cardBg,
         color: theme.text,
         padding: "8px 12px",
         borderRadius: 12,
-        cursor: "pointer",
+        cursor: disabled ? "not-allowed" : "pointer",
+        opacity: disabled ? 0.5 : 1,
         fontWeight: 700,
       }}
     >
@@ -583,7 +1324,7 @@ export default function App() {
     </div>
   );
 
-  const content = (
+  const page = (
     <div className={`ut-shell ${dark ? "ut-shell--dark" : "ut-shell--light"}`}>
       <div className="ut-card" style={{ background: theme.pageBg, color: theme.text }}>
         {/* Sticky header */}
@@ -624,17 +1365,97 @@ export default function App() {
                 </span>
               </h1>
               <p style={{ margin: "6px 0 0 0", color: theme.muted, fontSize: 12 }}>
-                Type exact values or drag sliders. Auto‑save on. Shift+↑/↓ steps x10.
+                Type exact values or drag sliders. Auto‑saves to the selected scenario. Shift+↑/↓ steps x10.
               </p>
             </div>
-            <div className="ut-mobile-buttons ut-desktop-buttons" style={{ display: "flex", gap: 8 }}>
+            <div className="ut-mobile-buttons ut-desktop-buttons" style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", justifyContent: "flex-end" }}>
+              <div style={{ display: "flex", flexDirection: "column", gap: 2, minWidth: 0 }}>
+                <select
+                  aria-label="Saved scenarios"
+                  value={library.activeId}
+                  onChange={(e) => openScenario(e.target.value)}
+                  style={{ maxWidth: 260, padding: "8px 10px", borderRadius: 12, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, fontWeight: 700 }}
+                >
+                  {scenarioGroups.map(([clientName, list]) => (
+                    <optgroup key={clientName || "-"} label={clientName || "No client"}>
+                      {list.map((sc) => (
+                        <option key={sc.id} value={sc.id}>
+                          {sc.name} · {fmtStamp(sc.updatedAt)}
+                        </option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+                {activeScenario && <span style={{ color: theme.muted, fontSize: 11 }}>Last saved {fmtStamp(activeScenario.updatedAt)}</span>}
+                {engineBusy ? (
+                  <span style={{ color: theme.muted, fontSize: 11 }}>⏳ Recalculating…</span>
+                ) : engineError ? (
+                  <span role="alert" style={{ color: theme.danger, fontSize: 11 }}>⚠️ Couldn&apos;t recalculate ({engineError}); showing the last good results</span>
+                ) : null}
+              </div>
+              <QuickButton onClick={newScenario} title="Start a new scenario on default inputs">＋ New</QuickButton>
+              <QuickButton onClick={saveScenarioAs} title="Save the current inputs as a new named scenario">💾 Save as</QuickButton>
+              <QuickButton onClick={duplicateScenario} title="Duplicate this scenario">⧉ Duplicate</QuickButton>
+              <QuickButton onClick={renameScenario} title="Rename this scenario">✏️ Rename</QuickButton>
+              <QuickButton onClick={deleteScenario} title="Delete this scenario">🗑️ Delete</QuickButton>
+              <QuickButton onClick={copyShareLink} title="Copy a link that opens these inputs">🔗 Share</QuickButton>
+              <select
+                aria-label="Region and currency"
+                title="Currency, number and date formats, and default inflation and preset returns"
+                value={region}
+                onChange={(e) => changeRegion(e.target.value)}
+                style={{ padding: "8px 10px", borderRadius: 12, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, fontWeight: 700 }}
+              >
+                {Object.entries(REGIONS).map(([code, r]) => (
+                  <option key={code} value={code}>
+                    {r.label} ({r.symbol})
+                  </option>
+                ))}
+              </select>
+              <QuickButton
+                className="ut-theme-button"
+                onClick={() => setDollarBasis((b) => (b === "today" ? "future" : "today"))}
+                title="Show every chart, figure and export in future (nominal) dollars or today's dollars"
+              >
+                {todays ? `🏷️ Today's ${cur}` : `🚀 Future ${cur}`}
+              </QuickButton>
               <QuickButton className="ut-theme-button" onClick={() => setDark((d) => !d)} title="Toggle Night/Day">
                 {dark ? "🌙 Night" : "☀️ Day"}
               </QuickButton>
-              <QuickButton className="ut-pdf-button" onClick={exportPDF} title="Export PDF for clients">📄 PDF</QuickButton>
+              <QuickButton className="ut-pdf-button" onClick={exportCSV} disabled={engineStale} title={engineStale ? exportWait : "Export assumptions and yearly projections as CSV"}>📊 CSV</QuickButton>
+              <QuickButton className="ut-pdf-button" onClick={exportXLSX} disabled={engineStale} title={engineStale ? exportWait : "Export assumptions and yearly projections as an Excel workbook"}>📗 XLSX</QuickButton>
+              <QuickButton className="ut-pdf-button" onClick={exportPDF} disabled={engineStale} title={engineStale ? exportWait : "Export PDF for clients"}>📄 PDF</QuickButton>
+              <QuickButton onClick={onLogOut} title={`Signed in as ${session.name} until ${fmtStamp(session.expiresAt)}`}>
+                🚪 Log out {session.name}
+              </QuickButton>
             </div>
           </header>
 
+          {notice && (
+            <div
+              role={notice.tone === "danger" ? "alert" : "status"}
+              style={{
+                marginTop: 8,
+                padding: "8px 12px",
+                borderRadius: 10,
+                border: `1px solid ${notice.tone === "danger" ? theme.danger : theme.success}`,
+                background: theme.cardBg,
+                color: notice.tone === "danger" ? theme.danger : theme.text,
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                gap: 8,
+                fontSize: 13,
+                fontWeight: 600,
+              }}
+            >
+              <span>{notice.text}</span>
+              <button onClick={() => setNotice(null)} title="Dismiss" style={{ border: "none", background: "transparent", color: theme.muted, cursor: "pointer", fontSize: 14 }}>
+                ✕
+              </button>
+            </div>
+          )}
+
           {/* Mobile Collapsible Menu */}
           <div className="ut-mobile-menu-toggle" style={{ marginTop: 8 }}>
             <button
@@ -734,7 +1555,7 @@ export default function App() {
         </div>
 
         {/* Report wrapper for PDF */}
-        <div ref={pdfRef}>
+        <div>
           {/* At-a-glance cards */}
           <section className="ut-mobile-section" style={{ ...themeCard, marginTop: 10 }}>
             <div className="ut-mobile-grid-4" style={{ display: "grid", gridTemplateColumns: "repeat(4,minmax(0,1fr))", gap: 10 }}>
@@ -742,13 +1563,13 @@ export default function App() {
                 <span className="ut-mobile-chip">👤 To Retirement: <strong style={{ whiteSpace: "nowrap" }}>{Math.max(0, retirementAge - currentAge)} yrs</strong></span>
               </Chip>
               <Chip>
-                <span className="ut-mobile-chip">💰 Invested: <strong>{fmtAUD(monthlySave * 12 * Math.max(0, retirementAge - currentAge))}</strong></span>
+                <span className="ut-mobile-chip">💰 Invested: <strong>{fmtMoney(principalInvested)}</strong></span>
               </Chip>
               <Chip>
-                <span className="ut-mobile-chip">📈 Balance @ {retirementAge}: <strong>{fmtAUD(nominalRetirementBalance)}</strong></span>
+                <span className="ut-mobile-chip">📈 Balance @ {retirementAge}: <strong>{fmtMoney(retirementBalance)}</strong> <span style={{ opacity: 0.7 }}>{basisTag}</span></span>
               </Chip>
               <Chip>
-                <span className="ut-mobile-chip">🏁 Sustainable: <strong>{fmtAUD(sustainableSpendToday)}</strong></span>
+                <span className="ut-mobile-chip">🏁 Sustainable: <strong>{fmtMoney(sustainableSpendShown)}</strong> <span style={{ opacity: 0.7 }}>{spendTag}</span></span>
               </Chip>
             </div>
           </section>
@@ -764,6 +1585,134 @@ export default function App() {
                   onChange={(e) => setClient(e.target.value)}
                   style={{ flex: 1, borderRadius: 12, border: `1px solid ${theme.border}`, padding: "10px 12px", background: theme.pageBg, color: theme.text }}
                 />
+                <button
+                  onClick={() => setSuperMode((v) => !v)}
+                  title="Model an Australian super account alongside non-super savings"
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: 12,
+                    border: `1px solid ${theme.border}`,
+                    background: superMode ? theme.primary : theme.cardBg,
+                    color: superMode ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  🦘 Super
+                </button>
+                <button
+                  onClick={() => setPensionEnabled((v) => !v)}
+                  title="Top up retirement income with the means-tested Age Pension"
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: 12,
+                    border: `1px solid ${theme.border}`,
+                    background: pensionEnabled ? theme.primary : theme.cardBg,
+                    color: pensionEnabled ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  🏛️ Age Pension
+                </button>
+                <button
+                  onClick={() => setAccountsMode((v) => !v)}
+                  title="Split money into portfolio, cash/offset and super accounts with their own returns and fees"
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: 12,
+                    border: `1px solid ${theme.border}`,
+                    background: accountsMode ? theme.primary : theme.cardBg,
+                    color: accountsMode ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  🗂️ Accounts
+                </button>
+                <button
+                  onClick={() => setCoupleMode((v) => !v)}
+                  title="Add a partner with their own ages, balance and savings"
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: 12,
+                    border: `1px solid ${theme.border}`,
+                    background: coupleMode ? theme.primary : theme.cardBg,
+                    color: coupleMode ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  👥 Couple
+                </button>
+                <button
+                  onClick={() => setGlideEnabled((v) => !v)}
+                  title="Derive each year's return and fees from a growth/defensive allocation by age"
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: 12,
+                    border: `1px solid ${theme.border}`,
+                    background: glideEnabled ? theme.primary : theme.cardBg,
+                    color: glideEnabled ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  📐 Glide Path
+                </button>
+                <button
+                  onClick={() => setEventsEnabled((v) => !v)}
+                  title="Add lump-sum inflows and outflows (inheritance, downsizing, cars, weddings) to the timeline"
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: 12,
+                    border: `1px solid ${theme.border}`,
+                    background: eventsEnabled ? theme.primary : theme.cardBg,
+                    color: eventsEnabled ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  📅 Life Events
+                </button>
+                <button
+                  onClick={() => setSavingsPlanEnabled((v) => !v)}
+                  title="Grow contributions with wages and pause or scale them for career phases"
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: 12,
+                    border: `1px solid ${theme.border}`,
+                    background: savingsPlanEnabled ? theme.primary : theme.cardBg,
+                    color: savingsPlanEnabled ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  🪜 Savings Plan
+                </button>
+                <button
+                  onClick={() => setGoalEnabled((v) => !v)}
+                  title="Solve for the savings, retirement age, return or starting balance that reaches a goal"
+                  style={{
+                    padding: "8px 12px",
+                    borderRadius: 12,
+                    border: `1px solid ${theme.border}`,
+                    background: goalEnabled ? theme.primary : theme.cardBg,
+                    color: goalEnabled ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  🎯 Goal Solver
+                </button>
               </div>
 
               {/* (Compare buttons moved to chart area below) */}
@@ -800,7 +1749,7 @@ export default function App() {
               />
               <RangePair
                 id="initial"
-                label="Initial Amount"
+                label={superMode ? "Initial Amount (non‑super)" : "Initial Amount"}
                 value={initialAmount}
                 onChange={(v) => setInitialAmount(clamp(v, 0, 5_000_000))}
                 theme={theme}
@@ -811,7 +1760,7 @@ export default function App() {
               />
               <RangePair
                 id="msave"
-                label="Monthly Savings / Investments"
+                label={superMode ? "Monthly Savings / Investments (non‑super)" : "Monthly Savings / Investments"}
                 value={monthlySave}
                 onChange={(v) => setMonthlySave(clamp(v, 0, 25_000))}
                 theme={theme}
@@ -829,6 +1778,8 @@ export default function App() {
                 min={0}
                 max={20}
                 step={0.1}
+                disabled={!!glidePath}
+                hint={glidePath ? "from glide path" : undefined}
               />
               <RangePair
                 id="postReal"
@@ -839,6 +1790,8 @@ export default function App() {
                 min={-5}
                 max={15}
                 step={0.1}
+                disabled={!!glidePath}
+                hint={glidePath ? "from glide path" : undefined}
               />
               <RangePair
                 id="infl"
@@ -878,6 +1831,710 @@ export default function App() {
                 />
               )}
 
+              {tab === TABS.TARGET && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(2,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span style={{ color: theme.muted, fontSize: 13 }}>Withdrawal strategy:</span>
+                    {Object.entries(WITHDRAWAL_STRATEGIES).map(([key, label]) => (
+                      <button
+                        key={key}
+                        onClick={() => setWithdrawalStrategy(key)}
+                        style={{
+                          padding: "6px 10px",
+                          borderRadius: 10,
+                          border: `1px solid ${theme.border}`,
+                          background: withdrawalStrategy === key ? theme.primary : theme.cardBg,
+                          color: withdrawalStrategy === key ? "#fff" : theme.text,
+                          cursor: "pointer",
+                          fontWeight: 700,
+                          fontSize: 12,
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {(withdrawalStrategy === "fixedPct" || withdrawalStrategy === "floorCeiling") && (
+                    <RangePair id="wdPct" label="Withdrawal (% of balance)" value={withdrawalSettings.pct} onChange={(v) => setWithdrawalSetting("pct")(clamp(v, 0, 20))} theme={theme} min={0} max={20} step={0.1} />
+                  )}
+                  {withdrawalStrategy === "floorCeiling" && (
+                    <>
+                      <RangePair id="wdFloor" label="Floor (% of Annual Spend)" value={withdrawalSettings.floorPct} onChange={(v) => setWithdrawalSetting("floorPct")(clamp(v, 0, 100))} theme={theme} min={0} max={100} step={1} />
+                      <RangePair id="wdCeiling" label="Ceiling (% of Annual Spend)" value={withdrawalSettings.ceilingPct} onChange={(v) => setWithdrawalSetting("ceilingPct")(clamp(v, 100, 300))} theme={theme} min={100} max={300} step={1} />
+                    </>
+                  )}
+                  {withdrawalStrategy === "guytonKlinger" && (
+                    <>
+                      <RangePair id="gkRail" label="Guardrail Band (± % of initial rate)" value={withdrawalSettings.guardrail} onChange={(v) => setWithdrawalSetting("guardrail")(clamp(v, 5, 50))} theme={theme} min={5} max={50} step={1} />
+                      <RangePair id="gkAdjust" label="Spending Cut / Raise (%)" value={withdrawalSettings.adjust} onChange={(v) => setWithdrawalSetting("adjust")(clamp(v, 0, 50))} theme={theme} min={0} max={50} step={1} />
+                    </>
+                  )}
+                  <p style={{ gridColumn: "1 / -1", margin: 0, color: theme.muted, fontSize: 12 }}>
+                    {withdrawalStrategy === "constant" && "Spend the Annual Spend every year, indexed to inflation, until the money runs out."}
+                    {withdrawalStrategy === "fixedPct" && "Spend a fixed share of the balance at the start of each retirement year — income moves with markets but the balance never fully runs out."}
+                    {withdrawalStrategy === "guytonKlinger" &&
+                      "Start at the Annual Spend and index it, skipping the increase after a losing year; cut when the withdrawal rate rises above the band, raise when it falls below."}
+                    {withdrawalStrategy === "floorCeiling" && "Spend a share of the balance, but never less than the floor or more than the ceiling of the inflation-indexed Annual Spend."}
+                    {withdrawalStrategy === "atoMinimum" &&
+                      `Draw only the ATO minimum pension payment: ${ATO_MIN_DRAWDOWN.map(([under, rate], i) => `${rate * 100}% ${under === Infinity ? `${ATO_MIN_DRAWDOWN[i - 1][0]}+` : `under ${under}`}`).join(", ")}.`}
+                  </p>
+                </div>
+              )}
+
+              {glideEnabled && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(2,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <div style={{ gridColumn: "1 / -1", fontWeight: 800, fontSize: 15 }}>📐 Glide Path</div>
+                  <RangePair id="gpGrowthRet" label="Growth Assets Return (% p.a.)" value={glide.growthReturn} onChange={(v) => setGlide((g) => ({ ...g, growthReturn: clamp(Number(v), -5, 20) }))} theme={theme} min={-5} max={20} step={0.1} />
+                  <RangePair id="gpDefRet" label="Defensive Assets Return (% p.a.)" value={glide.defensiveReturn} onChange={(v) => setGlide((g) => ({ ...g, defensiveReturn: clamp(Number(v), -5, 15) }))} theme={theme} min={-5} max={15} step={0.1} />
+                  <RangePair id="gpGrowthFee" label="Growth Assets Fee (% p.a.)" value={glide.growthFee} onChange={(v) => setGlide((g) => ({ ...g, growthFee: clamp(Number(v), 0, 3) }))} theme={theme} min={0} max={3} step={0.05} />
+                  <RangePair id="gpDefFee" label="Defensive Assets Fee (% p.a.)" value={glide.defensiveFee} onChange={(v) => setGlide((g) => ({ ...g, defensiveFee: clamp(Number(v), 0, 3) }))} theme={theme} min={0} max={3} step={0.05} />
+                  <div style={{ gridColumn: "1 / -1", display: "flex", flexDirection: "column", gap: 6 }}>
+                    <div style={{ display: "grid", gridTemplateColumns: "100px 140px 40px", gap: 8, color: theme.muted, fontSize: 12 }}>
+                      <span>Age</span>
+                      <span>Growth / Defensive</span>
+                      <span />
+                    </div>
+                    {glide.points.map((pt, i) => (
+                      <div key={i} style={{ display: "grid", gridTemplateColumns: "100px 140px 40px", gap: 8, alignItems: "center" }}>
+                        <input
+                          type="number"
+                          aria-label={`Glide point ${i + 1} age`}
+                          value={pt.age}
+                          onChange={(e) => setGlidePoint(i, "age", clamp(e.target.value, 0, 110))}
+                          style={{ borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }}
+                        />
+                        <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                          <input
+                            type="number"
+                            aria-label={`Glide point ${i + 1} growth %`}
+                            value={pt.growth}
+                            onChange={(e) => setGlidePoint(i, "growth", clamp(e.target.value, 0, 100))}
+                            style={{ width: 70, borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }}
+                          />
+                          <span style={{ color: theme.muted, fontSize: 12 }}>/ {100 - pt.growth}</span>
+                        </div>
+                        <button
+                          onClick={() => setGlide((g) => ({ ...g, points: g.points.filter((_, j) => j !== i) }))}
+                          disabled={glide.points.length <= 1}
+                          title="Remove point"
+                          style={{ borderRadius: 8, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, cursor: "pointer" }}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() =>
+                        setGlide((g) => {
+                          const last = g.points[g.points.length - 1] || { age: currentAge, growth: 70 };
+                          return { ...g, points: [...g.points, { age: Math.min(110, last.age + 5), growth: last.growth }] };
+                        })
+                      }
+                      style={{ alignSelf: "flex-start", padding: "6px 10px", borderRadius: 10, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, cursor: "pointer", fontWeight: 700, fontSize: 12 }}
+                    >
+                      + Add point
+                    </button>
+                  </div>
+                  <p style={{ gridColumn: "1 / -1", margin: 0, color: theme.muted, fontSize: 12 }}>
+                    Expected gross return: <strong>{glideReturnAt(currentAge)}%</strong> at {currentAge} → <strong>{glideReturnAt(retirementAge)}%</strong> at {retirementAge} →{" "}
+                    <strong>{glideReturnAt(planEndAge)}%</strong> at {planEndAge}. Allocation is interpolated between points and held flat beyond them.
+                  </p>
+                </div>
+              )}
+
+              {eventsEnabled && (
+                <div style={{ gridColumn: "1 / -1", display: "flex", flexDirection: "column", gap: 6, border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <div style={{ fontWeight: 800, fontSize: 15 }}>📅 Life Events</div>
+                  <div style={{ display: "grid", gridTemplateColumns: EVENT_COLS, gap: 6, color: theme.muted, fontSize: 12 }}>
+                    <span>Event</span>
+                    <span>Age</span>
+                    <span>Amount</span>
+                    <span>In / Out</span>
+                    <span title="Amount is in today's dollars and indexed to inflation">Today $</span>
+                    <span title="Repeat every N years (0 = one-off)">Every</span>
+                    <span>Until</span>
+                    {superMode && <span title="Deposit inflows into super (e.g. a downsizer contribution)">Super</span>}
+                    <span />
+                  </div>
+                  {lifeEventsList.map((ev, i) => (
+                    <div key={i} style={{ display: "grid", gridTemplateColumns: EVENT_COLS, gap: 6, alignItems: "center" }}>
+                      <input aria-label={`Event ${i + 1} label`} value={ev.label} onChange={(e) => setLifeEvent(i, "label", e.target.value)} style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }} />
+                      <input type="number" aria-label={`Event ${i + 1} age`} value={ev.age} onChange={(e) => setLifeEvent(i, "age", clamp(e.target.value, 0, 110))} style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }} />
+                      <input type="number" aria-label={`Event ${i + 1} amount`} value={ev.amount} onChange={(e) => setLifeEvent(i, "amount", Math.max(0, Number(e.target.value) || 0))} style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }} />
+                      <select aria-label={`Event ${i + 1} direction`} value={ev.type} onChange={(e) => setLifeEvent(i, "type", e.target.value)} style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }}>
+                        <option value="in">Inflow</option>
+                        <option value="out">Outflow</option>
+                      </select>
+                      <input type="checkbox" aria-label={`Event ${i + 1} in today's dollars`} checked={!!ev.real} onChange={(e) => setLifeEvent(i, "real", e.target.checked)} />
+                      <input type="number" aria-label={`Event ${i + 1} repeat every (years)`} value={ev.everyYears} onChange={(e) => setLifeEvent(i, "everyYears", clamp(e.target.value, 0, 50))} style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }} />
+                      <input
+                        type="number"
+                        aria-label={`Event ${i + 1} repeat until age`}
+                        value={ev.untilAge || ""}
+                        disabled={!ev.everyYears}
+                        placeholder="end"
+                        onChange={(e) => setLifeEvent(i, "untilAge", clamp(e.target.value, 0, 110))}
+                        style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }}
+                      />
+                      {superMode && (
+                        <input type="checkbox" aria-label={`Event ${i + 1} into super`} checked={!!ev.toSuper} disabled={ev.type === "out"} onChange={(e) => setLifeEvent(i, "toSuper", e.target.checked)} />
+                      )}
+                      <button
+                        onClick={() => setLifeEventsList((list) => list.filter((_, j) => j !== i))}
+                        title="Remove event"
+                        style={{ borderRadius: 8, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, cursor: "pointer" }}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() =>
+                      setLifeEventsList((list) => [...list, { label: "Event", age: Math.min(110, retirementAge), amount: 10000, type: "out", real: true, everyYears: 0, untilAge: 0, toSuper: false }])
+                    }
+                    style={{ alignSelf: "flex-start", padding: "6px 10px", borderRadius: 10, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, cursor: "pointer", fontWeight: 700, fontSize: 12 }}
+                  >
+                    + Add event
+                  </button>
+                  <p style={{ margin: 0, color: theme.muted, fontSize: 12 }}>
+                    Events apply in the month they fall due to every scenario. Inflows go to the portfolio (or super if ticked); outflows are drawn like spending
+                    and cannot touch super before preservation age.
+                  </p>
+                </div>
+              )}
+
+              {savingsPlanEnabled && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(2,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span style={{ fontWeight: 800, fontSize: 15, marginRight: 4 }}>🪜 Savings Plan</span>
+                    <span style={{ color: theme.muted, fontSize: 13 }}>Escalation:</span>
+                    {Object.entries(ESCALATION_MODES).map(([key, label]) => (
+                      <button
+                        key={key}
+                        onClick={() => setSavingsPlan((sp) => ({ ...sp, escalation: key }))}
+                        style={{
+                          padding: "6px 10px",
+                          borderRadius: 10,
+                          border: `1px solid ${theme.border}`,
+                          background: savingsPlan.escalation === key ? theme.primary : theme.cardBg,
+                          color: savingsPlan.escalation === key ? "#fff" : theme.text,
+                          cursor: "pointer",
+                          fontWeight: 700,
+                          fontSize: 12,
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {savingsPlan.escalation === "fixed" && (
+                    <RangePair id="spFixed" label="Contribution Increase (% p.a.)" value={savingsPlan.fixedPct} onChange={(v) => setSavingsPlan((sp) => ({ ...sp, fixedPct: clamp(Number(v), 0, 15) }))} theme={theme} min={0} max={15} step={0.1} />
+                  )}
+                  {savingsPlan.escalation === "wage" && (
+                    <RangePair id="spWage" label="Wage Growth above CPI (% p.a.)" value={savingsPlan.wageRealPct} onChange={(v) => setSavingsPlan((sp) => ({ ...sp, wageRealPct: clamp(Number(v), -2, 5) }))} theme={theme} min={-2} max={5} step={0.1} />
+                  )}
+                  <div style={{ gridColumn: "1 / -1", display: "flex", flexDirection: "column", gap: 6 }}>
+                    <div style={{ display: "grid", gridTemplateColumns: "minmax(120px,1fr) 80px 80px 90px 32px", gap: 6, color: theme.muted, fontSize: 12 }}>
+                      <span>Career phase</span>
+                      <span>From age</span>
+                      <span>To age</span>
+                      <span>% of savings</span>
+                      <span />
+                    </div>
+                    {savingsPlan.bands.map((b, i) => (
+                      <div key={i} style={{ display: "grid", gridTemplateColumns: "minmax(120px,1fr) 80px 80px 90px 32px", gap: 6, alignItems: "center" }}>
+                        <input aria-label={`Phase ${i + 1} label`} value={b.label} onChange={(e) => setSavingsBand(i, "label", e.target.value)} style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }} />
+                        <input type="number" aria-label={`Phase ${i + 1} from age`} value={b.fromAge} onChange={(e) => setSavingsBand(i, "fromAge", clamp(e.target.value, 0, 110))} style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }} />
+                        <input type="number" aria-label={`Phase ${i + 1} to age`} value={b.toAge} onChange={(e) => setSavingsBand(i, "toAge", clamp(e.target.value, 0, 110))} style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }} />
+                        <input type="number" aria-label={`Phase ${i + 1} % of savings`} value={b.pct} onChange={(e) => setSavingsBand(i, "pct", clamp(e.target.value, 0, 300))} style={{ width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }} />
+                        <button
+                          onClick={() => setSavingsPlan((sp) => ({ ...sp, bands: sp.bands.filter((_, j) => j !== i) }))}
+                          title="Remove phase"
+                          style={{ borderRadius: 8, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, cursor: "pointer" }}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => setSavingsPlan((sp) => ({ ...sp, bands: [...sp.bands, { label: "Phase", fromAge: currentAge, toAge: Math.min(retirementAge, currentAge + 2), pct: 0 }] }))}
+                      style={{ alignSelf: "flex-start", padding: "6px 10px", borderRadius: 10, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, cursor: "pointer", fontWeight: 700, fontSize: 12 }}
+                    >
+                      + Add phase
+                    </button>
+                  </div>
+                  <p style={{ gridColumn: "1 / -1", margin: 0, color: theme.muted, fontSize: 12 }}>
+                    Contributions (including super) rise once a year — with CPI plus real wage growth on the wage index — and are scaled to the phase's % between its
+                    ages (0% pauses them). Partner savings stay flat.
+                  </p>
+                </div>
+              )}
+
+              {goalEnabled && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(2,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span style={{ fontWeight: 800, fontSize: 15, marginRight: 4 }}>🎯 Goal Solver</span>
+                    <span style={{ color: theme.muted, fontSize: 13 }}>Goal:</span>
+                    {Object.entries(GOAL_TARGETS).map(([key, label]) => (
+                      <button
+                        key={key}
+                        onClick={() => setGoal((g) => ({ ...g, target: key }))}
+                        style={{
+                          padding: "6px 10px",
+                          borderRadius: 10,
+                          border: `1px solid ${theme.border}`,
+                          background: goal.target === key ? theme.primary : theme.cardBg,
+                          color: goal.target === key ? "#fff" : theme.text,
+                          cursor: "pointer",
+                          fontWeight: 700,
+                          fontSize: 12,
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {goal.target === "spend" ? (
+                    <RangePair id="goalSpend" label="Target Spend (today $ p.a.)" value={goal.spend} onChange={(v) => setGoal((g) => ({ ...g, spend: clamp(v, 0, 1_300_000) }))} theme={theme} min={0} max={1_300_000} step={1000} money />
+                  ) : (
+                    <RangePair id="goalBequest" label="Bequest (today $)" value={goal.bequest} onChange={(v) => setGoal((g) => ({ ...g, bequest: clamp(v, 0, 50_000_000) }))} theme={theme} min={0} max={50_000_000} step={10000} money />
+                  )}
+                  <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span style={{ color: theme.muted, fontSize: 13 }}>Solve for:</span>
+                    {Object.entries(GOAL_UNKNOWNS).map(([key, { label }]) => (
+                      <button
+                        key={key}
+                        onClick={() => setGoal((g) => ({ ...g, unknown: key }))}
+                        style={{
+                          padding: "6px 10px",
+                          borderRadius: 10,
+                          border: `1px solid ${theme.border}`,
+                          background: goal.unknown === key ? theme.primary : theme.cardBg,
+                          color: goal.unknown === key ? "#fff" : theme.text,
+                          cursor: "pointer",
+                          fontWeight: 700,
+                          fontSize: 12,
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <div style={{ gridColumn: "1 / -1", display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                    {goalBlocked ? (
+                      <span style={{ color: theme.muted, fontSize: 13 }}>
+                        Returns come from the {glidePath ? "glide path — turn it off" : "portfolio's own return — switch it back to the scenario return in Accounts"} to solve for the return.
+                      </span>
+                    ) : goalPending ? (
+                      <span style={{ color: theme.muted, fontSize: 13 }}>Solving…</span>
+                    ) : goalSolution == null ? (
+                      <span style={{ color: theme.danger, fontWeight: 700 }}>
+                        Out of reach — even {fmtGoal(goalRange[1])} does not meet this goal with the other inputs unchanged.
+                      </span>
+                    ) : (
+                      <>
+                        <span>
+                          {GOAL_UNKNOWNS[goal.unknown].label}: <strong style={{ fontSize: 18 }}>{fmtGoal(goalSolution)}</strong>{" "}
+                          <span style={{ color: theme.muted }}>(now {fmtGoal(goalCurrent)})</span>
+                        </span>
+                        <button
+                          onClick={applyGoal}
+                          style={{ padding: "6px 12px", borderRadius: 10, border: `1px solid ${theme.border}`, background: theme.primary, color: "#fff", cursor: "pointer", fontWeight: 700, fontSize: 12 }}
+                        >
+                          Apply to inputs
+                        </button>
+                      </>
+                    )}
+                  </div>
+                  <p style={{ gridColumn: "1 / -1", margin: 0, color: theme.muted, fontSize: 12 }}>
+                    Solved on the DIY Start Now plan with every other input held fixed.{" "}
+                    {goal.target === "spend"
+                      ? `Spending is constant and inflation-indexed until age ${planEndAge}; applying also sets Annual Spend.`
+                      : `The plan's own spending and withdrawal strategy apply, and the balance must never run out before age ${planEndAge}.`}
+                  </p>
+                </div>
+              )}
+
+              {coupleMode && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(2,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <div style={{ gridColumn: "1 / -1", fontWeight: 800, fontSize: 15 }}>👥 Partner</div>
+                  <RangePair
+                    id="pAge"
+                    label="Partner Current Age"
+                    value={partnerAge}
+                    onChange={(v) => setPartnerAge(clamp(v, 18, partnerRetirementAge - 1))}
+                    theme={theme}
+                    min={18}
+                    max={Math.max(19, partnerRetirementAge - 1)}
+                    step={1}
+                  />
+                  <RangePair
+                    id="pRetAge"
+                    label="Partner Retirement Age"
+                    value={partnerRetirementAge}
+                    onChange={(v) => setPartnerRetirementAge(clamp(v, partnerAge + 1, 100))}
+                    theme={theme}
+                    min={partnerAge + 1}
+                    max={100}
+                    step={1}
+                  />
+                  <RangePair
+                    id="pLifeExp"
+                    label="Partner Life Expectancy (age)"
+                    value={partnerLifeExpectancy}
+                    onChange={(v) => setPartnerLifeExpectancy(clamp(v, partnerRetirementAge + 1, 110))}
+                    theme={theme}
+                    min={partnerRetirementAge + 1}
+                    max={110}
+                    step={1}
+                  />
+                  <RangePair
+                    id="pInitial"
+                    label="Partner Initial Amount"
+                    value={partnerInitial}
+                    onChange={(v) => setPartnerInitial(clamp(v, 0, 5_000_000))}
+                    theme={theme}
+                    min={0}
+                    max={5_000_000}
+                    step={5000}
+                    money
+                  />
+                  <RangePair
+                    id="pSave"
+                    label="Partner Monthly Savings"
+                    value={partnerMonthlySave}
+                    onChange={(v) => setPartnerMonthlySave(clamp(v, 0, 25_000))}
+                    theme={theme}
+                    min={0}
+                    max={25_000}
+                    step={100}
+                    money
+                  />
+                  <RangePair
+                    id="survivor"
+                    label="Spending After First Death (% of household)"
+                    value={survivorSpendPct}
+                    onChange={(v) => setSurvivorSpendPct(clamp(v, 30, 100))}
+                    theme={theme}
+                    min={30}
+                    max={100}
+                    step={1}
+                  />
+                  <p style={{ gridColumn: "1 / -1", margin: 0, color: theme.muted, fontSize: 12 }}>
+                    Balances are pooled. Household spending starts at your retirement; your partner keeps saving until their retirement age. The plan runs to the later life expectancy (your age {planEndAge}).
+                  </p>
+                </div>
+              )}
+
+              {superMode && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(2,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <div style={{ gridColumn: "1 / -1", fontWeight: 800, fontSize: 15 }}>🦘 Superannuation</div>
+                  <RangePair
+                    id="superBal"
+                    label="Starting Super Balance"
+                    value={superBalance}
+                    onChange={(v) => setSuperBalance(clamp(v, 0, 5_000_000))}
+                    theme={theme}
+                    min={0}
+                    max={5_000_000}
+                    step={5000}
+                    money
+                  />
+                  <RangePair
+                    id="superCC"
+                    label="Concessional Contributions ($/yr, pre‑tax)"
+                    value={superConcessional}
+                    onChange={(v) => setSuperConcessional(clamp(v, 0, 200_000))}
+                    theme={theme}
+                    min={0}
+                    max={200_000}
+                    step={500}
+                    money
+                    hint="15% contributions tax"
+                  />
+                  <RangePair
+                    id="superNCC"
+                    label="Non‑Concessional Contributions ($/yr)"
+                    value={superNonConcessional}
+                    onChange={(v) => setSuperNonConcessional(clamp(v, 0, 500_000))}
+                    theme={theme}
+                    min={0}
+                    max={500_000}
+                    step={1000}
+                    money
+                  />
+                  <RangePair
+                    id="presAge"
+                    label="Preservation Age"
+                    value={preservationAge}
+                    onChange={(v) => setPreservationAge(clamp(v, 55, 60))}
+                    theme={theme}
+                    min={55}
+                    max={60}
+                    step={1}
+                  />
+                  <RangePair
+                    id="ccCap"
+                    label="Concessional Cap ($/yr)"
+                    value={concessionalCap}
+                    onChange={(v) => setConcessionalCap(clamp(v, 0, 100_000))}
+                    theme={theme}
+                    min={0}
+                    max={100_000}
+                    step={500}
+                    money
+                    hint="unused cap carries forward 5 yrs"
+                  />
+                  <RangePair
+                    id="nccCap"
+                    label="Non‑Concessional Cap ($/yr)"
+                    value={nonConcessionalCap}
+                    onChange={(v) => setNonConcessionalCap(clamp(v, 0, 500_000))}
+                    theme={theme}
+                    min={0}
+                    max={500_000}
+                    step={1000}
+                    money
+                  />
+                  <RangePair
+                    id="margTax"
+                    label="Marginal Tax Rate on Excess Concessional (%)"
+                    value={marginalTaxPct}
+                    onChange={(v) => setMarginalTaxPct(clamp(v, 0, 47))}
+                    theme={theme}
+                    min={0}
+                    max={47}
+                    step={0.5}
+                  />
+                  <p style={{ gridColumn: "1 / -1", margin: 0, color: theme.muted, fontSize: 12 }}>
+                    Earnings taxed at 15% in accumulation and 0% in retirement phase. Contributions above the caps stay outside super. Spending before preservation age is drawn from non‑super money only.
+                  </p>
+                </div>
+              )}
+
+              {pensionEnabled && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(2,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span style={{ fontWeight: 800, fontSize: 15, marginRight: 4 }}>🏛️ Age Pension</span>
+                    {[
+                      ...(coupleMode
+                        ? []
+                        : [
+                            ["Single", !pensionCouple, () => setPensionCouple(false)],
+                            ["Couple", pensionCouple, () => setPensionCouple(true)],
+                          ]),
+                      ["Homeowner", pensionHomeowner, () => setPensionHomeowner(true)],
+                      ["Non‑homeowner", !pensionHomeowner, () => setPensionHomeowner(false)],
+                    ].map(([label, on, click]) => (
+                      <button
+                        key={label}
+                        onClick={click}
+                        style={{
+                          padding: "6px 10px",
+                          borderRadius: 10,
+                          border: `1px solid ${theme.border}`,
+                          background: on ? theme.primary : theme.cardBg,
+                          color: on ? "#fff" : theme.text,
+                          cursor: "pointer",
+                          fontWeight: 700,
+                          fontSize: 12,
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                    {coupleMode && <span style={{ color: theme.muted, fontSize: 12 }}>Couple rates until the first death, then single.</span>}
+                  </div>
+                  <RangePair
+                    id="apOther"
+                    label="Other Assessable Assets (today $, excl. home)"
+                    value={pensionOtherAssets}
+                    onChange={(v) => setPensionOtherAssets(clamp(v, 0, 2_000_000))}
+                    theme={theme}
+                    min={0}
+                    max={2_000_000}
+                    step={5000}
+                    money
+                  />
+                  <details style={{ gridColumn: "1 / -1" }}>
+                    <summary style={{ cursor: "pointer", color: theme.muted, fontSize: 13 }}>Thresholds table (today $, indexed with inflation)</summary>
+                    <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))", gap: 8, marginTop: 8 }}>
+                      {AGE_PENSION_FIELDS.map(([label, path, kind]) => {
+                        const raw = getIn(pensionRates, path);
+                        const shown = kind === "pct" ? +(raw * 100).toFixed(3) : raw;
+                        return (
+                          <label key={path.join(".")} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, fontSize: 13, color: theme.muted }}>
+                            <span>{label}</span>
+                            <input
+                              type="number"
+                              value={shown}
+                              onChange={(e) => {
+                                const n = Number(e.target.value);
+                                if (!Number.isFinite(n) || n < 0) return;
+                                setPensionRates((r) => setIn(r, path, kind === "pct" ? n / 100 : n));
+                              }}
+                              style={{ width: 120, borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text }}
+                            />
+                          </label>
+                        );
+                      })}
+                    </div>
+                    <button
+                      onClick={() => setPensionRates(AGE_PENSION_DEFAULTS)}
+                      style={{ marginTop: 8, padding: "6px 10px", borderRadius: 10, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, cursor: "pointer", fontWeight: 700, fontSize: 12 }}
+                    >
+                      Reset to defaults
+                    </button>
+                  </details>
+                </div>
+              )}
+
+              {accountsMode && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <div style={{ gridColumn: "1 / -1", fontWeight: 800, fontSize: 15 }}>🗂️ Accounts</div>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+                    <div style={{ fontWeight: 700 }}>Portfolio</div>
+                    <div style={{ color: theme.muted, fontSize: 12 }}>Balance and savings: Initial Amount / Monthly Savings above.</div>
+                    <button
+                      onClick={() => setAccount(["portfolio", "ownReturn"], !accountSettings.portfolio.ownReturn)}
+                      style={{ alignSelf: "flex-start", padding: "4px 8px", borderRadius: 8, border: `1px solid ${theme.border}`, background: accountSettings.portfolio.ownReturn ? theme.primary : theme.cardBg, color: accountSettings.portfolio.ownReturn ? "#fff" : theme.text, cursor: "pointer", fontWeight: 700, fontSize: 12 }}
+                    >
+                      {accountSettings.portfolio.ownReturn ? "Own return" : "Scenario return"}
+                    </button>
+                    {accountSettings.portfolio.ownReturn && (
+                      <RangePair id="pfRet" label="Return (% p.a.)" value={accountSettings.portfolio.returnPa} onChange={(v) => setAccount(["portfolio", "returnPa"], clamp(Number(v), -5, 20))} theme={theme} min={-5} max={20} step={0.1} />
+                    )}
+                    <RangePair id="pfFee" label="Product Fee (% p.a.)" value={accountSettings.portfolio.feePct} onChange={(v) => setAccount(["portfolio", "feePct"], clamp(Number(v), 0, 3))} theme={theme} min={0} max={3} step={0.05} />
+                  </div>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+                    <div style={{ fontWeight: 700 }}>Cash / Offset</div>
+                    <RangePair id="cashBal" label="Starting Balance" value={accountSettings.cash.startBalance} onChange={(v) => setAccount(["cash", "startBalance"], clamp(v, 0, 5_000_000))} theme={theme} min={0} max={5_000_000} step={1000} money />
+                    <RangePair id="cashMonthly" label="Monthly Contribution" value={accountSettings.cash.monthly} onChange={(v) => setAccount(["cash", "monthly"], clamp(v, 0, 25_000))} theme={theme} min={0} max={25_000} step={100} money />
+                    <RangePair id="cashRet" label="Return (% p.a.)" value={accountSettings.cash.returnPa} onChange={(v) => setAccount(["cash", "returnPa"], clamp(Number(v), 0, 10))} theme={theme} min={0} max={10} step={0.1} />
+                    <RangePair id="cashFee" label="Fee (% p.a.)" value={accountSettings.cash.feePct} onChange={(v) => setAccount(["cash", "feePct"], clamp(Number(v), 0, 3))} theme={theme} min={0} max={3} step={0.05} />
+                  </div>
+                  {superMode && (
+                    <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+                      <div style={{ fontWeight: 700 }}>Super</div>
+                      <div style={{ color: theme.muted, fontSize: 12 }}>Balance and contributions: Superannuation panel.</div>
+                      <button
+                        onClick={() => setAccount(["super", "ownReturn"], !accountSettings.super.ownReturn)}
+                        style={{ alignSelf: "flex-start", padding: "4px 8px", borderRadius: 8, border: `1px solid ${theme.border}`, background: accountSettings.super.ownReturn ? theme.primary : theme.cardBg, color: accountSettings.super.ownReturn ? "#fff" : theme.text, cursor: "pointer", fontWeight: 700, fontSize: 12 }}
+                      >
+                        {accountSettings.super.ownReturn ? "Own return" : "Scenario return"}
+                      </button>
+                      {accountSettings.super.ownReturn && (
+                        <RangePair id="supRet" label="Return (% p.a., before earnings tax)" value={accountSettings.super.returnPa} onChange={(v) => setAccount(["super", "returnPa"], clamp(Number(v), -5, 20))} theme={theme} min={-5} max={20} step={0.1} />
+                      )}
+                      <RangePair id="supFee" label="Fund Fee (% p.a.)" value={accountSettings.super.feePct} onChange={(v) => setAccount(["super", "feePct"], clamp(Number(v), 0, 3))} theme={theme} min={0} max={3} step={0.05} />
+                    </div>
+                  )}
+                  <p style={{ gridColumn: "1 / -1", margin: 0, color: theme.muted, fontSize: 12 }}>
+                    Account fees are charged on top of the DIY/Adviser fee. Cash keeps its fixed rate in Monte Carlo runs.
+                  </p>
+                </div>
+              )}
+
+              {(accountsMode || superMode) && (
+                <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                  <span style={{ color: theme.muted, fontSize: 13 }}>Drawdown order:</span>
+                  {Object.entries(DRAWDOWN_ORDERS).map(([key, label]) => (
+                    <button
+                      key={key}
+                      onClick={() => setDrawdownOrder(key)}
+                      style={{
+                        padding: "6px 10px",
+                        borderRadius: 10,
+                        border: `1px solid ${theme.border}`,
+                        background: drawdownOrder === key ? theme.primary : theme.cardBg,
+                        color: drawdownOrder === key ? "#fff" : theme.text,
+                        cursor: "pointer",
+                        fontWeight: 700,
+                        fontSize: 12,
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {mcEnabled && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(3,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <RangePair
+                    id="mcVol"
+                    label="Return Volatility (% p.a., std dev)"
+                    value={mcVolPct}
+                    onChange={(v) => setMcVolPct(clamp(Number(v), 0, 40))}
+                    theme={theme}
+                    min={0}
+                    max={40}
+                    step={0.5}
+                  />
+                  <RangePair
+                    id="mcTrials"
+                    label="Trials"
+                    value={mcTrials}
+                    onChange={(v) => setMcTrials(clamp(v, 100, 10000))}
+                    theme={theme}
+                    min={100}
+                    max={10000}
+                    step={100}
+                  />
+                  <RangePair
+                    id="mcSeed"
+                    label="Random Seed"
+                    value={mcSeed}
+                    onChange={(v) => setMcSeed(clamp(Math.round(v), 1, 99999))}
+                    theme={theme}
+                    min={1}
+                    max={99999}
+                    step={1}
+                  />
+                </div>
+              )}
+
+              {sensEnabled && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(3,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <RangePair id="sensRate" label="Rate Shift (± % points)" value={sensSettings.rate} onChange={(v) => setSensSettings((st) => ({ ...st, rate: clamp(Number(v), 0.1, 5) }))} theme={theme} min={0.1} max={5} step={0.1} />
+                  <RangePair id="sensAmount" label="Savings & Spend Shift (± %)" value={sensSettings.amount} onChange={(v) => setSensSettings((st) => ({ ...st, amount: clamp(v, 1, 50) }))} theme={theme} min={1} max={50} step={1} />
+                  <RangePair id="sensYears" label="Age & Delay Shift (± years)" value={sensSettings.years} onChange={(v) => setSensSettings((st) => ({ ...st, years: clamp(Math.round(v), 1, 10) }))} theme={theme} min={1} max={10} step={1} />
+                </div>
+              )}
+
+              {showAlpha && (
+                <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(2,minmax(0,1fr))", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                  <RangePair
+                    id="alphaGap"
+                    label="DIY Behaviour Gap (% lost in down years)"
+                    value={alphaSettings.behaviourGapPct}
+                    onChange={(v) => setAlphaSettings((a) => ({ ...a, behaviourGapPct: clamp(v, 0, 20) }))}
+                    theme={theme}
+                    min={0}
+                    max={20}
+                    step={0.5}
+                  />
+                  <RangePair
+                    id="alphaDownYears"
+                    label="Down Years (% of years, flat returns)"
+                    value={alphaSettings.downYearsPct}
+                    onChange={(v) => setAlphaSettings((a) => ({ ...a, downYearsPct: clamp(Math.round(v), 0, 100) }))}
+                    theme={theme}
+                    min={0}
+                    max={100}
+                    step={1}
+                  />
+                  {ALPHA_SOURCES.map(([key, label]) => (
+                    <RangePair key={key} id={`alpha_${key}`} label={label} value={alphaSettings[key]} onChange={(v) => setAlphaSettings((a) => ({ ...a, [key]: clamp(v, 0, 3) }))} theme={theme} min={0} max={3} step={0.05} />
+                  ))}
+                  <p style={{ gridColumn: "1 / -1", margin: 0, color: theme.muted, fontSize: 12 }}>
+                    The adviser's returns gain {(adviserAlpha(alphaSettings) * 100).toFixed(2)}% p.a. DIY loses the behaviour gap in years the market falls — in flat-return projections that is
+                    spread over the {alphaSettings.downYearsPct}% of years you assume fall (about {((alphaSettings.behaviourGapPct * alphaSettings.downYearsPct) / 100).toFixed(2)}% p.a.). Applies to the DIY
+                    and Adviser comparison runs only.
+                  </p>
+                </div>
+              )}
+
               {tab === TABS.FEES && (
                 <div style={{ gridColumn: "1 / -1", display: "grid", gap: 12, gridTemplateColumns: "repeat(2,minmax(0,1fr))" }}>
                   <div style={{ border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
@@ -891,6 +2548,8 @@ export default function App() {
                       min={0}
                       max={2}
                       step={0.05}
+                      disabled={diySchedule.enabled}
+                      hint={diySchedule.enabled ? "replaced by tiers" : undefined}
                     />
                     <RangePair
                       id="diyfix"
@@ -903,6 +2562,7 @@ export default function App() {
                       step={100}
                       money
                     />
+                    <FeeScheduleEditor id="diy" schedule={diySchedule} onChange={setDiySchedule} theme={theme} />
                   </div>
                   <div style={{ border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
                     <div style={{ fontWeight: 800, fontSize: 16, marginBottom: 6 }}>Adviser Managed</div>
@@ -915,6 +2575,8 @@ export default function App() {
                       min={0}
                       max={3}
                       step={0.05}
+                      disabled={advisorSchedule.enabled}
+                      hint={advisorSchedule.enabled ? "replaced by tiers" : undefined}
                     />
                     <RangePair
                       id="advfix"
@@ -927,12 +2589,13 @@ export default function App() {
                       step={100}
                       money
                     />
+                    <FeeScheduleEditor id="adv" schedule={advisorSchedule} onChange={setAdvisorSchedule} theme={theme} />
                   </div>
                 </div>
               )}
             </div>
             <p style={{ color: theme.muted, fontSize: 12, marginTop: 8 }}>
-              Presets use <strong>nominal</strong> return matrix and set inflation to 0. You can re‑enable inflation if needed.
+              Presets load a <strong>glide‑path</strong> template (growth/defensive mix by age, nominal returns) and set inflation to 0. You can re‑enable inflation if needed.
             </p>
           </section>
 
@@ -953,21 +2616,21 @@ export default function App() {
                 <div className="ut-mobile-warning-grid" style={{ display: "grid", gridTemplateColumns: "repeat(2, minmax(0, 1fr))", gap: 12, marginTop: 16 }}>
                   <div style={{ padding: 12, background: theme.cardBg, borderRadius: 8, border: `1px solid ${theme.border}` }}>
                     <div style={{ fontWeight: 700, marginBottom: 6, color: theme.danger }}>Total Fees Paid</div>
-                    <div style={{ fontSize: 18, fontWeight: 800 }}>{fmtAUD(totalFeesPaid)}</div>
+                    <div style={{ fontSize: 18, fontWeight: 800 }}>{fmtMoney(totalFeesPaid)}</div>
                     <div style={{ fontSize: 12, color: theme.muted, marginTop: 4 }}>
                       Paid to adviser before money ran out
                     </div>
                   </div>
                   <div style={{ padding: 12, background: theme.cardBg, borderRadius: 8, border: `1px solid ${theme.border}` }}>
                     <div style={{ fontWeight: 700, marginBottom: 6, color: theme.success }}>DIY Balance at That Point</div>
-                    <div style={{ fontSize: 18, fontWeight: 800 }}>{fmtAUD(diyBalanceAtAdviserRunOut)}</div>
+                    <div style={{ fontSize: 18, fontWeight: 800 }}>{fmtMoney(diyBalanceAtAdviserRunOut)}</div>
                     <div style={{ fontSize: 12, color: theme.muted, marginTop: 4 }}>
                       What DIY still had when adviser hit zero
                     </div>
                   </div>
                 </div>
                 <p style={{ margin: "16px 0 0 0", fontWeight: 600, color: theme.text }}>
-                  By the time the Adviser strategy ran out of money, the DIY strategy still had <strong style={{ color: theme.success, fontSize: 16 }}>{fmtAUD(opportunityCost)}</strong> remaining — 
+                  By the time the Adviser strategy ran out of money, the DIY strategy still had <strong style={{ color: theme.success, fontSize: 16 }}>{fmtMoney(opportunityCost)}</strong> remaining — 
                   this is the lost opportunity from paying fees instead of keeping that money invested.
                 </p>
               </div>
@@ -987,47 +2650,152 @@ export default function App() {
                   : "DIY Ultimate Target: Start vs Delay"}
               </h2>
 
-              {/* Compare toggles in chart header */}
-              {tab === TABS.TARGET && (
-                <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
-                  <span style={{ color: theme.muted, fontSize: 13 }}>Compare:</span>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <button
+                  onClick={() => setMcEnabled((v) => !v)}
+                  title="Run thousands of randomised return paths and show 10th–90th percentile bands"
+                  style={{
+                    padding: "6px 10px",
+                    borderRadius: 10,
+                    border: `1px solid ${theme.border}`,
+                    background: mcEnabled ? theme.primary : theme.cardBg,
+                    color: mcEnabled ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    fontSize: 12,
+                  }}
+                >
+                  🎲 Monte Carlo
+                </button>
+                <button
+                  onClick={() => setSensEnabled((v) => !v)}
+                  title="Shift each input up and down and rank what moves the outcome most"
+                  style={{
+                    padding: "6px 10px",
+                    borderRadius: 10,
+                    border: `1px solid ${theme.border}`,
+                    background: sensEnabled ? theme.primary : theme.cardBg,
+                    color: sensEnabled ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    fontSize: 12,
+                  }}
+                >
+                  🌪️ Sensitivity
+                </button>
+                <button
+                  onClick={() => setHeatEnabled((v) => !v)}
+                  title="Colour a grid of outcomes across two inputs at once"
+                  style={{
+                    padding: "6px 10px",
+                    borderRadius: 10,
+                    border: `1px solid ${theme.border}`,
+                    background: heatEnabled ? theme.primary : theme.cardBg,
+                    color: heatEnabled ? "#fff" : theme.text,
+                    cursor: "pointer",
+                    fontWeight: 700,
+                    fontSize: 12,
+                  }}
+                >
+                  🗺️ Heatmap
+                </button>
+                {tab !== TABS.COMPOUND && (
                   <button
-                    onClick={() => setCompareAdv(false)}
+                    onClick={() => setAlphaEnabled((v) => !v)}
+                    title="Credit the adviser with extra return, charge DIY a behaviour gap, and find the break-even alpha"
                     style={{
                       padding: "6px 10px",
                       borderRadius: 10,
                       border: `1px solid ${theme.border}`,
-                      background: !compareAdv ? theme.primary : theme.cardBg,
-                      color: !compareAdv ? "#fff" : theme.text,
+                      background: alphaEnabled ? theme.primary : theme.cardBg,
+                      color: alphaEnabled ? "#fff" : theme.text,
                       cursor: "pointer",
                       fontWeight: 700,
                       fontSize: 12,
                     }}
                   >
-                    Start vs Delay
+                    🤝 Adviser Value-Add
                   </button>
+                )}
+                {coupleMode && (
                   <button
-                    onClick={() => setCompareAdv(true)}
+                    onClick={() => setShowPartnerAges((v) => !v)}
+                    title="Label the age axis with both partners' ages"
                     style={{
                       padding: "6px 10px",
                       borderRadius: 10,
                       border: `1px solid ${theme.border}`,
-                      background: compareAdv ? theme.primary : theme.cardBg,
-                      color: compareAdv ? "#fff" : theme.text,
+                      background: showPartnerAges ? theme.primary : theme.cardBg,
+                      color: showPartnerAges ? "#fff" : theme.text,
                       cursor: "pointer",
                       fontWeight: 700,
                       fontSize: 12,
                     }}
                   >
-                    DIY vs Adviser
+                    👥 Both ages
                   </button>
-                </div>
-              )}
+                )}
+                {(accountsMode || superMode) && (
+                  <button
+                    onClick={() => setStackedView((v) => !v)}
+                    title="Show the balance stacked by account"
+                    style={{
+                      padding: "6px 10px",
+                      borderRadius: 10,
+                      border: `1px solid ${theme.border}`,
+                      background: stackedView ? theme.primary : theme.cardBg,
+                      color: stackedView ? "#fff" : theme.text,
+                      cursor: "pointer",
+                      fontWeight: 700,
+                      fontSize: 12,
+                    }}
+                  >
+                    🗂️ Stacked
+                  </button>
+                )}
+
+                {/* Compare toggles in chart header */}
+                {tab === TABS.TARGET && (
+                  <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span style={{ color: theme.muted, fontSize: 13 }}>Compare:</span>
+                    <button
+                      onClick={() => setCompareAdv(false)}
+                      style={{
+                        padding: "6px 10px",
+                        borderRadius: 10,
+                        border: `1px solid ${theme.border}`,
+                        background: !compareAdv ? theme.primary : theme.cardBg,
+                        color: !compareAdv ? "#fff" : theme.text,
+                        cursor: "pointer",
+                        fontWeight: 700,
+                        fontSize: 12,
+                      }}
+                    >
+                      Start vs Delay
+                    </button>
+                    <button
+                      onClick={() => setCompareAdv(true)}
+                      style={{
+                        padding: "6px 10px",
+                        borderRadius: 10,
+                        border: `1px solid ${theme.border}`,
+                        background: compareAdv ? theme.primary : theme.cardBg,
+                        color: compareAdv ? "#fff" : theme.text,
+                        cursor: "pointer",
+                        fontWeight: 700,
+                        fontSize: 12,
+                      }}
+                    >
+                      DIY vs Adviser
+                    </button>
+                  </div>
+                )}
+              </div>
             </div>
 
             <div className="ut-mobile-chart-container" style={{ width: "100%", height: 460 }}>
               <ResponsiveContainer>
-                <ComposedChart data={chartRows} margin={{ top: 10, right: 5, left: 12, bottom: 50 }}>
+                <ComposedChart data={chartRows} margin={{ top: 10, right: showIncome || showFees ? 0 : 5, left: 12, bottom: 50 }}>
                   <CartesianGrid stroke={theme.grid} strokeDasharray="3 3" />
                   <XAxis
                     type="number"
@@ -1036,7 +2804,7 @@ export default function App() {
                     ticks={ageTicks}
                     interval="preserveStartEnd"
                     allowDecimals={false}
-                    tickFormatter={(t) => `${t}`}
+                    tickFormatter={(t) => (coupleMode && showPartnerAges ? `${t}/${t + partnerGap}` : `${t}`)}
                     tick={{ fill: theme.axis, fontSize: 11 }}
                     minTickGap={30}
                     tickMargin={8}
@@ -1048,9 +2816,15 @@ export default function App() {
                     width={56}
                     tickMargin={5}
                   />
+                  {showIncome && (
+                    <YAxis yAxisId="income" orientation="right" tickFormatter={fmtAxis} tick={{ fill: theme.success, fontSize: 11 }} width={52} tickMargin={5} />
+                  )}
+                  {showFees && (
+                    <YAxis yAxisId="fees" orientation="right" tickFormatter={fmtAxis} tick={{ fill: theme.danger, fontSize: 11 }} width={52} tickMargin={5} />
+                  )}
                   <Tooltip
-                    formatter={(v, n) => [fmtAUD(v), n]}
-                    labelFormatter={(l) => `Age ${l}`}
+                    formatter={(v, n) => [Array.isArray(v) ? `${fmtMoney(v[0])} – ${fmtMoney(v[1])}` : fmtMoney(v), n]}
+                    labelFormatter={(l) => (coupleMode ? `Age ${l} · Partner ${l + partnerGap}` : `Age ${l}`)}
                     contentStyle={{ backgroundColor: theme.cardBg, borderColor: theme.border, color: theme.text }}
                   />
                   <Legend 
@@ -1059,17 +2833,41 @@ export default function App() {
                     wrapperStyle={{ color: theme.text, fontSize: 11, padding: "4px 0" }}
                     iconSize={12}
                   />
-                  <ReLine type="monotone" dataKey="baseNominal" name={baseLabel} stroke={theme.accent} strokeWidth={3} dot={false} />
-                  <ReLine type="monotone" dataKey="baseReal" name={"Start Now — Real $"} stroke={theme.primary} strokeWidth={3} strokeDasharray="6 6" dot={false} />
+                  {stackedView && (accountsMode || superMode) &&
+                    BUCKET_STYLE.map(([id, label, color]) =>
+                      chartRows.some((r) => r[`stack_${id}`] != null) ? (
+                        <Area key={id} type="monotone" dataKey={`stack_${id}`} name={`${label} (${basisName})`} stackId="buckets" stroke={theme[color]} fill={theme[color]} fillOpacity={0.25} />
+                      ) : null
+                    )}
+                  {mc && (
+                    <Area type="monotone" dataKey="mcBand" name="Monte Carlo 10th–90th pct" stroke="none" fill={theme.accent} fillOpacity={0.18} />
+                  )}
+                  {mc && (
+                    <ReLine type="monotone" dataKey="mcMedian" name="Monte Carlo median" stroke={theme.accent} strokeWidth={2} strokeDasharray="2 3" dot={false} />
+                  )}
+                  <ReLine type="monotone" dataKey="baseValue" name={baseLabel} stroke={theme.accent} strokeWidth={3} dot={false} />
+                  <ReLine type="monotone" dataKey="baseOther" name={`Start Now — ${todays ? "Future" : "Today's"} ${cur}`} stroke={theme.primary} strokeWidth={3} strokeDasharray="6 6" dot={false} />
                   <ReLine
                     type="monotone"
-                    dataKey="compareNominal"
+                    dataKey="compareValue"
                     name={compareLabel}
                     stroke={compareStroke}
                     strokeWidth={3}
                     strokeDasharray={compareDash}
                     dot={false}
                   />
+                  {showIncome && (
+                    <>
+                      <ReLine yAxisId="income" type="stepAfter" dataKey="baseIncome" name={`Income Paid (${basisName}, right axis)`} stroke={theme.success} strokeWidth={2} dot={false} />
+                      <ReLine yAxisId="income" type="stepAfter" dataKey="compareIncome" name={compareAdv ? "Adviser Income Paid" : `Delay ${delayYears}y Income Paid`} stroke={theme.success} strokeWidth={1.5} strokeDasharray="4 4" dot={false} />
+                    </>
+                  )}
+                  {showFees && (
+                    <>
+                      <ReLine yAxisId="fees" type="monotone" dataKey="baseFees" name={`DIY Fees Paid (cumulative ${basisName}, right axis)`} stroke={theme.danger} strokeWidth={2} dot={false} />
+                      <ReLine yAxisId="fees" type="monotone" dataKey="compareFees" name="Adviser Fees Paid (cumulative)" stroke={theme.danger} strokeWidth={1.5} strokeDasharray="4 4" dot={false} />
+                    </>
+                  )}
                   <ReferenceLine
                     x={retirementAge}
                     stroke={theme.gold}
@@ -1088,62 +2886,404 @@ export default function App() {
                     isFront
                     label={{ value: `Life Exp. ${lifeExpectancy}`, position: "insideTopRight", dy: 14, fill: theme.axis, fontWeight: 600 }}
                   />
+                  {coupleMode && (
+                    <ReferenceLine
+                      x={partnerRetirementAge - partnerGap}
+                      stroke={theme.gold}
+                      strokeWidth={2}
+                      strokeDasharray="2 4"
+                      ifOverflow="extendDomain"
+                      label={{ value: `Partner ret. ${partnerRetirementAge}`, position: "insideBottom", dy: -8, fill: theme.gold, fontWeight: 700 }}
+                    />
+                  )}
+                  {coupleMode && (
+                    <ReferenceLine
+                      x={partnerLifeExpectancy - partnerGap}
+                      stroke={theme.axis}
+                      strokeWidth={2}
+                      strokeDasharray="1 4"
+                      ifOverflow="extendDomain"
+                      label={{ value: `Partner L.E. ${partnerLifeExpectancy}`, position: "insideBottomRight", dy: -8, fill: theme.axis, fontWeight: 600 }}
+                    />
+                  )}
+                  {eventMarkers.map((ev, i) => (
+                    <ReferenceLine
+                      key={`${ev.label}-${ev.age}-${i}`}
+                      x={ev.age}
+                      stroke={ev.amount >= 0 ? theme.success : theme.danger}
+                      strokeWidth={1.5}
+                      strokeDasharray="2 2"
+                      ifOverflow="extendDomain"
+                      label={{ value: `${ev.label} ${ev.amount >= 0 ? "+" : "−"}${fmtAxis(Math.abs(ev.amount))}`, position: "insideTopLeft", dy: 34 + (i % 3) * 14, fill: ev.amount >= 0 ? theme.success : theme.danger, fontSize: 10, fontWeight: 700 }}
+                    />
+                  ))}
                 </ComposedChart>
               </ResponsiveContainer>
             </div>
 
+            {/* Cashflow ledger (collapsible) */}
+            <div style={{ marginTop: 8 }}>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <button
+                  onClick={() => setLedgerOpen((v) => !v)}
+                  aria-expanded={ledgerOpen}
+                  style={{ padding: "6px 10px", borderRadius: 10, border: `1px solid ${theme.border}`, background: ledgerOpen ? theme.primary : theme.cardBg, color: ledgerOpen ? "#fff" : theme.text, cursor: "pointer", fontWeight: 700, fontSize: 12 }}
+                >
+                  📒 Cashflow Ledger {ledgerOpen ? "−" : "+"}
+                </button>
+                {ledgerOpen &&
+                  [
+                    ["A", baseLabel],
+                    ["B", compareLabel],
+                  ].map(([side, label]) => (
+                    <button
+                      key={side}
+                      onClick={() => setLedgerSide(side)}
+                      style={{ padding: "6px 10px", borderRadius: 10, border: `1px solid ${theme.border}`, background: ledgerSide === side ? theme.primary : theme.cardBg, color: ledgerSide === side ? "#fff" : theme.text, cursor: "pointer", fontWeight: 700, fontSize: 12 }}
+                    >
+                      {label.replace(` (${basisName})`, "")}
+                    </button>
+                  ))}
+              </div>
+              {ledgerOpen && (
+                <div style={{ marginTop: 8, overflowX: "auto", maxHeight: 420, overflowY: "auto", border: `1px solid ${theme.border}`, borderRadius: 12 }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontVariantNumeric: "tabular-nums" }}>
+                    <thead>
+                      <tr>
+                        {ledgerColumns.map(([key, label]) => (
+                          <th
+                            key={key}
+                            onClick={() => sortLedger(key)}
+                            aria-sort={ledgerSort.key === key ? (ledgerSort.dir > 0 ? "ascending" : "descending") : "none"}
+                            style={{ position: "sticky", top: 0, background: theme.cardBg, padding: "6px 8px", textAlign: key === "age" ? "left" : "right", cursor: "pointer", whiteSpace: "nowrap", borderBottom: `1px solid ${theme.border}` }}
+                          >
+                            {label} {ledgerSort.key === key ? (ledgerSort.dir > 0 ? "▲" : "▼") : ""}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ledgerRows.map((r, i) => (
+                        <tr key={i} style={{ borderBottom: `1px solid ${theme.grid}` }}>
+                          {ledgerColumns.map(([key, , sign]) => (
+                            <td key={key} style={{ padding: "4px 8px", textAlign: key === "age" ? "left" : "right", whiteSpace: "nowrap", color: sign < 0 && r[key] > 0.5 ? theme.danger : theme.text }}>
+                              {key === "age" ? r.age : fmtMoney(sign < 0 ? -r[key] : r[key])}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                      <tr style={{ fontWeight: 800, borderTop: `2px solid ${theme.border}` }}>
+                        {ledgerColumns.map(([key, , sign]) => (
+                          <td key={key} style={{ padding: "6px 8px", textAlign: key === "age" ? "left" : "right", whiteSpace: "nowrap" }}>
+                            {key === "age" ? "Total" : sign ? fmtMoney(sign < 0 ? -ledgerTotals[key] : ledgerTotals[key]) : ""}
+                          </td>
+                        ))}
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
             {/* Callouts */}
             {tab === TABS.COMPOUND && (
               <div className="ut-mobile-grid-3" style={{ display: "grid", gridTemplateColumns: "repeat(3,minmax(0,1fr))", gap: 10, marginTop: 12 }}>
-                <Chip><span className="ut-mobile-chip">Start Now @ Ret: {fmtAUD(atRet_now?.nominal || 0)}</span></Chip>
-                <Chip><span className="ut-mobile-chip">Delay {delayYears}y @ Ret: {fmtAUD(atRet_delay?.nominal || 0)}</span></Chip>
-                <Chip tone="danger"><span className="ut-mobile-chip">Cost of Delay: {fmtAUD(costOfDelayAtRet)}</span></Chip>
+                <Chip><span className="ut-mobile-chip">Start Now @ Ret: {fmtIn(balanceIn(atRet_now))}</span></Chip>
+                <Chip><span className="ut-mobile-chip">Delay {delayYears}y @ Ret: {fmtIn(balanceIn(atRet_delay))}</span></Chip>
+                <Chip tone="danger"><span className="ut-mobile-chip">Cost of Delay: {fmtIn(costOfDelayAtRet)}</span></Chip>
               </div>
             )}
             {tab === TABS.FEES && (
               <div className="ut-mobile-grid-3" style={{ display: "grid", gridTemplateColumns: "repeat(3,minmax(0,1fr))", gap: 10, marginTop: 12 }}>
-                <Chip><span className="ut-mobile-chip">DIY @ Ret: {fmtAUD(atRet_diy?.nominal || 0)}</span></Chip>
-                <Chip><span className="ut-mobile-chip">Adviser @ Ret: {fmtAUD(atRet_adv?.nominal || 0)}</span></Chip>
-                <Chip tone="danger"><span className="ut-mobile-chip">Fee Drag (Ret): {fmtAUD(Math.max(0, (atRet_diy?.nominal || 0) - (atRet_adv?.nominal || 0)))} ({feeDragRetPct}%)</span></Chip>
-                <Chip tone="danger"><span className="ut-mobile-chip">Fee Drag (Horizon): {fmtAUD(Math.max(0, fees_diy.endNom - fees_advisor.endNom))} ({feeDragHznPct}%)</span></Chip>
-                <Chip><span className="ut-mobile-chip">DIY @ Horizon: {fmtAUD(fees_diy.endNom)}</span></Chip>
-                <Chip><span className="ut-mobile-chip">Adviser @ Horizon: {fmtAUD(fees_advisor.endNom)}</span></Chip>
+                <Chip><span className="ut-mobile-chip">DIY @ Ret: {fmtIn(balanceIn(atRet_diy))}</span></Chip>
+                <Chip><span className="ut-mobile-chip">Adviser @ Ret: {fmtIn(balanceIn(atRet_adv))}</span></Chip>
+                <Chip tone="danger"><span className="ut-mobile-chip">Fee Drag (Ret): {fmtIn(feeDragAtRet)} ({feeDragRetPct}%)</span></Chip>
+                <Chip tone="danger"><span className="ut-mobile-chip">Fee Drag (Horizon): {fmtIn(feeDragAtHorizon)} ({feeDragHznPct}%)</span></Chip>
+                <Chip><span className="ut-mobile-chip">DIY @ Horizon: {fmtIn(endIn(fees_diy))}</span></Chip>
+                <Chip><span className="ut-mobile-chip">Adviser @ Horizon: {fmtIn(endIn(fees_advisor))}</span></Chip>
               </div>
             )}
             {tab === TABS.TARGET && (
               compareAdv ? (
                 <div className="ut-mobile-grid-3" style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))", gap: 10, marginTop: 12 }}>
-                  <Chip>DIY @ Retirement: {fmtAUD(atRet_ut_diy?.nominal || 0)}</Chip>
-                  <Chip>Adviser @ Retirement: {fmtAUD(atRet_ut_adv?.nominal || 0)}</Chip>
+                  <Chip>DIY @ Retirement: {fmtIn(balanceIn(atRet_ut_diy))}</Chip>
+                  <Chip>Adviser @ Retirement: {fmtIn(balanceIn(atRet_ut_adv))}</Chip>
                   {adviserRunsOutEarly ? (
                     <>
                       <Chip tone="danger"><span className="ut-mobile-chip">Adviser Runs Out: Age {adviserRunOutAge}</span></Chip>
                       <Chip tone="danger"><span className="ut-mobile-chip">Years Early: {yearsEarly}</span></Chip>
-                      <Chip tone="danger"><span className="ut-mobile-chip">Fees Paid: {fmtAUD(totalFeesPaid)}</span></Chip>
-                      <Chip tone="success"><span className="ut-mobile-chip">DIY @ Run-Out: {fmtAUD(diyBalanceAtAdviserRunOut)}</span></Chip>
+                      <Chip tone="danger"><span className="ut-mobile-chip">Fees Paid: {fmtIn(totalFeesPaid)}</span></Chip>
+                      <Chip tone="success"><span className="ut-mobile-chip">DIY @ Run-Out: {fmtIn(diyBalanceAtAdviserRunOut)}</span></Chip>
                     </>
                   ) : (
-                    <Chip tone="danger"><span className="ut-mobile-chip">Fee Drag: {fmtAUD(Math.max(0, (atRet_ut_diy?.nominal || 0) - (atRet_ut_adv?.nominal || 0)))}</span></Chip>
+                    <Chip tone="danger"><span className="ut-mobile-chip">Fee Drag: {fmtIn(Math.max(0, balanceIn(atRet_ut_diy) - balanceIn(atRet_ut_adv)))}</span></Chip>
                   )}
                 </div>
               ) : (
                 <div className="ut-mobile-grid-3" style={{ display: "grid", gridTemplateColumns: "repeat(3,minmax(0,1fr))", gap: 10, marginTop: 12 }}>
                   <Chip>
-                    <span className="ut-mobile-chip"><strong>Sustainable Spend:</strong> {fmtAUD(sustainableSpendToday)}</span>
+                    <span className="ut-mobile-chip"><strong>Sustainable Spend:</strong> {fmtMoney(sustainableSpendShown)} ({spendTag})</span>
                   </Chip>
                   {ut_now.depletedAge ? (
                     <Chip tone="danger"><span className="ut-mobile-chip">Start Now: Depletes ~ Age {ut_now.depletedAge}</span></Chip>
                   ) : (
-                    <Chip tone="success"><span className="ut-mobile-chip">Start Now: Funds last beyond {lifeExpectancy}</span></Chip>
+                    <Chip tone="success"><span className="ut-mobile-chip">Start Now: Funds last beyond {planEndAge}</span></Chip>
                   )}
                   {ut_delay.depletedAge ? (
                     <Chip tone="danger"><span className="ut-mobile-chip">Delay {delayYears}y: Depletes ~ Age {ut_delay.depletedAge}</span></Chip>
                   ) : (
-                    <Chip tone="success"><span className="ut-mobile-chip">Delay {delayYears}y: Funds last beyond {lifeExpectancy}</span></Chip>
+                    <Chip tone="success"><span className="ut-mobile-chip">Delay {delayYears}y: Funds last beyond {planEndAge}</span></Chip>
+                  )}
+                  {incomeStats && (
+                    <Chip tone={incomeStats.lowest < incomeStats.first * 0.75 ? "danger" : undefined}>
+                      <span className="ut-mobile-chip">
+                        💸 Income ({basisTag}): {fmtMoney(incomeStats.first)} first yr · low {fmtMoney(incomeStats.lowest)} at {incomeStats.lowestAge}
+                      </span>
+                    </Chip>
+                  )}
+                  {ut_now.agePension && (
+                    <Chip tone={ut_now.agePension.startAge != null ? "success" : undefined}>
+                      <span className="ut-mobile-chip">
+                        🏛️ {ut_now.agePension.startAge != null
+                          ? `Age Pension from ${ut_now.agePension.startAge}: ${fmtIn(pensionPaid)} total`
+                          : "No Age Pension (means test)"}
+                      </span>
+                    </Chip>
+                  )}
+                  {ut_now.super?.accessShortfallAge != null && (
+                    <Chip tone="danger">
+                      <span className="ut-mobile-chip">🦘 Non‑super runs out at {ut_now.super.accessShortfallAge} — super locked until {preservationAge}</span>
+                    </Chip>
+                  )}
+                  {mc && (
+                    <Chip tone={mc.successRate >= 0.85 ? "success" : "danger"}>
+                      <span className="ut-mobile-chip">🎲 Probability funds last to {planEndAge}: <strong>{Math.round(mc.successRate * 100)}%</strong></span>
+                    </Chip>
                   )}
                 </div>
               )
             )}
+            {sens && (
+              <div style={{ marginTop: 12, border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+                  <span style={{ fontWeight: 800, fontSize: 15, marginRight: 4 }}>🌪️ What matters most</span>
+                  {Object.entries(OUTCOME_METRICS).map(([key, label]) => (
+                    <button
+                      key={key}
+                      onClick={() => setSensSettings((st) => ({ ...st, metric: key }))}
+                      style={{
+                        padding: "6px 10px",
+                        borderRadius: 10,
+                        border: `1px solid ${theme.border}`,
+                        background: sensSettings.metric === key ? theme.primary : theme.cardBg,
+                        color: sensSettings.metric === key ? "#fff" : theme.text,
+                        cursor: "pointer",
+                        fontWeight: 700,
+                        fontSize: 12,
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div style={{ width: "100%", height: 40 + tornado.length * 34 }}>
+                  <ResponsiveContainer>
+                    <BarChart data={tornado} layout="vertical" margin={{ top: 4, right: 24, bottom: 4, left: 8 }} barGap={-16} barSize={16}>
+                      <CartesianGrid stroke={theme.grid} horizontal={false} />
+                      <XAxis type="number" tickFormatter={(v) => (sensSettings.metric === "depletionAge" ? `${v > 0 ? "+" : ""}${v.toFixed(1)}y` : fmtAxis(v))} tick={{ fill: theme.axis, fontSize: 11 }} stroke={theme.axis} />
+                      <YAxis type="category" dataKey="label" width={190} tick={{ fill: theme.axis, fontSize: 11 }} stroke={theme.axis} />
+                      <Tooltip
+                        formatter={(v, n, item) => [`${fmtSens(item.payload[`${item.dataKey}Value`])} (${v >= 0 ? "+" : "−"}${sensSettings.metric === "depletionAge" ? `${Math.abs(v).toFixed(1)} yrs` : fmtMoney(Math.abs(v))})`, n]}
+                        contentStyle={{ backgroundColor: theme.cardBg, borderColor: theme.border, color: theme.text }}
+                      />
+                      <Legend wrapperStyle={{ color: theme.text, fontSize: 11 }} />
+                      <ReferenceLine x={0} stroke={theme.axis} />
+                      <Bar dataKey="lowered" name="Input lowered" fill={theme.delay} />
+                      <Bar dataKey="raised" name="Input raised" fill={theme.accent} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+                <div style={{ color: theme.muted, fontSize: 12 }}>
+                  Change from the DIY Start Now plan ({OUTCOME_METRICS[sensSettings.metric].toLowerCase()}: {fmtSens(sens.base[sensSettings.metric])}), one input at a time. Rates shift by ±{sensSettings.rate} % points, savings and spend by ±
+                  {sensSettings.amount}%, retirement age and start delay by ±{sensSettings.years} years; return shifts apply to the glide path and account returns when they are set. Depletion age is capped at {planEndAge}.
+                </div>
+              </div>
+            )}
+            {heat && (
+              <div style={{ marginTop: 12, border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+                  <span style={{ fontWeight: 800, fontSize: 15, marginRight: 4 }}>🗺️ Trade-offs</span>
+                  {["y", "x"].map((axis) => (
+                    <label key={axis} style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: theme.muted }}>
+                      {axis === "y" ? "Rows" : "Columns"}
+                      <select
+                        value={heatAxes[axis]}
+                        onChange={(e) => setHeatAxis(axis, e.target.value)}
+                        style={{ borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text, fontSize: 12 }}
+                      >
+                        {Object.entries(HEATMAP_INPUTS).map(([key, { label, flatReturn }]) => (
+                          <option key={key} value={key} disabled={flatReturn && !flatReturns}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                  <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: theme.muted }}>
+                    Grid
+                    <select
+                      value={heatSettings.size}
+                      onChange={(e) => setHeatSettings((h) => ({ ...h, size: Number(e.target.value) }))}
+                      style={{ borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text, fontSize: 12 }}
+                    >
+                      {[5, 7, 9].map((n) => (
+                        <option key={n} value={n}>
+                          {n} × {n}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+                  {Object.entries(OUTCOME_METRICS).map(([key, label]) => (
+                    <button
+                      key={key}
+                      onClick={() => setHeatSettings((h) => ({ ...h, metric: key }))}
+                      style={{
+                        padding: "6px 10px",
+                        borderRadius: 10,
+                        border: `1px solid ${theme.border}`,
+                        background: heatSettings.metric === key ? theme.primary : theme.cardBg,
+                        color: heatSettings.metric === key ? "#fff" : theme.text,
+                        cursor: "pointer",
+                        fontWeight: 700,
+                        fontSize: 12,
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div style={{ overflowX: "auto" }}>
+                  <table style={{ borderCollapse: "separate", borderSpacing: 3, fontSize: 12, fontVariantNumeric: "tabular-nums", margin: "0 auto" }}>
+                    <thead>
+                      <tr>
+                        <th style={{ color: theme.muted, fontWeight: 600, textAlign: "left", padding: "4px 6px" }}>
+                          {HEATMAP_INPUTS[heatAxes.y].label} ↓ / {HEATMAP_INPUTS[heatAxes.x].label} →
+                        </th>
+                        {heat.xs.map((xv) => (
+                          <th key={xv} style={{ padding: "4px 6px", fontWeight: xv === heat.current[heatAxes.x] ? 800 : 600, color: xv === heat.current[heatAxes.x] ? theme.text : theme.muted }}>
+                            {fmtHeatAxis(heatAxes.x, xv)}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {heat.ys.map((yv, yi) => (
+                        <tr key={yv}>
+                          <th style={{ padding: "4px 6px", textAlign: "right", fontWeight: yv === heat.current[heatAxes.y] ? 800 : 600, color: yv === heat.current[heatAxes.y] ? theme.text : theme.muted }}>
+                            {fmtHeatAxis(heatAxes.y, yv)}
+                          </th>
+                          {heat.xs.map((xv, xi) => {
+                            const v = heat.cells[yi][xi];
+                            const here = xv === heat.current[heatAxes.x] && yv === heat.current[heatAxes.y];
+                            return (
+                              <td
+                                key={xv}
+                                title={`${HEATMAP_INPUTS[heatAxes.y].label} ${fmtHeatAxis(heatAxes.y, yv)}, ${HEATMAP_INPUTS[heatAxes.x].label} ${fmtHeatAxis(heatAxes.x, xv)}${here ? " (current)" : ""}`}
+                                style={{
+                                  minWidth: 56,
+                                  padding: "8px 6px",
+                                  textAlign: "center",
+                                  borderRadius: 6,
+                                  fontWeight: here ? 800 : 600,
+                                  color: "#fff",
+                                  background: heatColor(heat.max > heat.min ? (v - heat.min) / (heat.max - heat.min) : 1),
+                                  outline: here ? `3px solid ${theme.text}` : "none",
+                                  outlineOffset: -1,
+                                }}
+                              >
+                                {fmtHeatCell(v)}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div style={{ color: theme.muted, fontSize: 12, marginTop: 6 }}>
+                  {OUTCOME_METRICS[heatSettings.metric]} on the DIY Start Now plan; the outlined cell is the current scenario and every other input stays as set. Red is the weakest outcome on the grid, green the strongest.
+                  {!flatReturns && " Return axes are unavailable while a glide path or the portfolio's own return sets the returns."}
+                </div>
+              </div>
+            )}
+            {showAlpha && breakEven && (
+              <div style={{ marginTop: 12, border: `1px solid ${theme.border}`, borderRadius: 12, padding: 12 }}>
+                <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+                  <span style={{ fontWeight: 800, fontSize: 15, marginRight: 4 }}>🤝 Break-even Value-Add</span>
+                  {Object.entries(OUTCOME_METRICS).map(([key, label]) => (
+                    <button
+                      key={key}
+                      onClick={() => setAlphaSettings((a) => ({ ...a, metric: key }))}
+                      style={{
+                        padding: "6px 10px",
+                        borderRadius: 10,
+                        border: `1px solid ${theme.border}`,
+                        background: alphaSettings.metric === key ? theme.primary : theme.cardBg,
+                        color: alphaSettings.metric === key ? "#fff" : theme.text,
+                        cursor: "pointer",
+                        fontWeight: 700,
+                        fontSize: 12,
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div style={{ width: "100%", height: 280 }}>
+                  <ResponsiveContainer>
+                    <ComposedChart data={breakEven.curve.map((pt) => ({ alpha: +(pt.alpha * 100).toFixed(2), adviser: pt.adviser }))} margin={{ top: 10, right: 24, left: 12, bottom: 20 }}>
+                      <CartesianGrid stroke={theme.grid} strokeDasharray="3 3" />
+                      <XAxis type="number" dataKey="alpha" domain={[0, ALPHA_MAX * 100]} tickFormatter={(v) => `${v}%`} tick={{ fill: theme.axis, fontSize: 11 }} tickMargin={6} />
+                      <YAxis
+                        domain={["auto", "auto"]}
+                        tickFormatter={(v) => (alphaSettings.metric === "depletionAge" ? String(Math.round(v)) : fmtAxis(v))}
+                        tick={{ fill: theme.axis, fontSize: 11 }}
+                        width={56}
+                      />
+                      <Tooltip
+                        formatter={(v, n) => [fmtBreakEven(v), n]}
+                        labelFormatter={(l) => `Adviser value-add ${l}% p.a.`}
+                        contentStyle={{ backgroundColor: theme.cardBg, borderColor: theme.border, color: theme.text }}
+                      />
+                      <Legend wrapperStyle={{ color: theme.text, fontSize: 11 }} />
+                      <ReLine type="monotone" dataKey="adviser" name="Adviser" stroke={theme.danger} strokeWidth={3} dot={false} />
+                      <ReferenceLine y={breakEven.target} stroke={theme.accent} strokeWidth={2} label={{ value: "DIY", position: "insideTopLeft", fill: theme.accent, fontWeight: 800 }} />
+                      {breakEven.alpha != null && (
+                        <ReferenceLine
+                          x={+(breakEven.alpha * 100).toFixed(2)}
+                          stroke={theme.gold}
+                          strokeWidth={2}
+                          strokeDasharray="6 3"
+                          label={{ value: `Break-even ${(breakEven.alpha * 100).toFixed(2)}%`, position: "insideTop", fill: theme.gold, fontWeight: 800 }}
+                        />
+                      )}
+                      <ReferenceLine
+                        x={+Math.min(ALPHA_MAX * 100, adviserAlpha(alphaSettings) * 100).toFixed(2)}
+                        stroke={theme.primary}
+                        strokeDasharray="3 3"
+                        label={{ value: "Assumed", position: "insideBottom", fill: theme.primary, fontSize: 11 }}
+                      />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+                <div style={{ color: theme.muted, fontSize: 12 }}>
+                  {OUTCOME_METRICS[alphaSettings.metric]} for the adviser plan as its extra return rises, against DIY ({fmtBreakEven(breakEven.target)}, including its behaviour gap). To justify{" "}
+                  {feeText(advisorFeePct, advisorFixed, advisorSchedule)} in adviser fees, {breakEvenText}.
+                </div>
+              </div>
+            )}
           </section>
 
           {/* Summary — Key Insights (clean, concise) */}
@@ -1154,23 +3294,73 @@ export default function App() {
                 🟦 <strong>Retirement Line:</strong> Age <strong>{retirementAge}</strong> — you have <strong>{Math.max(0, retirementAge - currentAge)}</strong> years to retirement.
               </li>
               <li>🟦 <strong>Life Expectancy:</strong> Age <strong>{lifeExpectancy}</strong>.</li>
+              {coupleMode && (
+                <li>
+                  👥 <strong>Partner:</strong> age <strong>{partnerAge}</strong>, retiring at <strong>{partnerRetirementAge}</strong>, life expectancy <strong>{partnerLifeExpectancy}</strong>. Household spending steps down to{" "}
+                  <strong>{survivorSpendPct}%</strong> after the first death (your age {Math.round(ut_now.household?.firstDeathAge ?? lifeExpectancy)}).
+                </li>
+              )}
               <li>
-                💰 <strong>Annual Savings / Investments:</strong> <span style={{ fontWeight: 800 }}>{fmtAUD(annualSavings)}</span>.
+                💰 <strong>Annual Savings / Investments:</strong> <span style={{ fontWeight: 800 }}>{fmtMoney(annualSavings)}</span>.
               </li>
               <li>
-                💼 <strong>Total Principal Invested (to retirement):</strong> <span style={{ fontWeight: 800 }}>{fmtAUD(monthlySave * 12 * Math.max(0, retirementAge - currentAge))}</span>.
+                💼 <strong>Total Principal Invested (to retirement, {basisTag}):</strong> <span style={{ fontWeight: 800 }}>{fmtMoney(principalInvested)}</span>.
               </li>
               <li>
-                📈 <strong>Balance at Retirement (nominal):</strong> <span style={{ fontWeight: 800 }}>{fmtAUD(nominalRetirementBalance)}</span> — <span style={{ color: theme.muted }}>real:</span> {fmtAUD(realRetirementBalance)}.
+                📈 <strong>Balance at Retirement ({basisTag}):</strong> <span style={{ fontWeight: 800 }}>{fmtMoney(retirementBalance)}</span> — <span style={{ color: theme.muted }}>{otherTag}:</span>{" "}
+                {fmtMoney(todays ? nominalRetirementBalance : realRetirementBalance)}.
               </li>
               <li>
-                🧭 <strong>Projected End Balance (nominal):</strong> {fmtAUD(nominalEndBalance)} — <span style={{ color: theme.muted }}>real:</span> {fmtAUD(realEndBalance)}.
+                🧭 <strong>Projected End Balance ({basisTag}):</strong> {fmtMoney(endBalance)} — <span style={{ color: theme.muted }}>{otherTag}:</span> {fmtMoney(todays ? nominalEndBalance : realEndBalance)}.
               </li>
               <li>
-                📊 <strong>Drawdown outlook:</strong> Funds are projected to last <strong>{ut_now.depletedAge ? `until about age ${ut_now.depletedAge}` : `beyond age ${lifeExpectancy}`}</strong> under current settings.
+                📊 <strong>Drawdown outlook:</strong> Funds are projected to last <strong>{ut_now.depletedAge ? `until about age ${ut_now.depletedAge}` : `beyond age ${planEndAge}`}</strong> under current settings.
               </li>
+              {comp_now.super && (
+                <li>
+                  🦘 <strong>Super at retirement ({basisTag}):</strong> <span style={{ fontWeight: 800 }}>{fmtMoney(superAtRet.super)}</span> (non‑super {fmtMoney(superAtRet.nonSuper)}) — contributions tax {fmtMoney(superAtRet.contributionsTax)}, earnings tax {fmtMoney(superAtRet.earningsTax)}
+                  {superAtRet.excess > 0 && (
+                    <>; <span style={{ color: theme.danger }}>{fmtMoney(superAtRet.excess)} over the caps kept outside super</span></>
+                  )}
+                  .
+                </li>
+              )}
+              {ut_now.buckets && (
+                <li>
+                  🗂️ <strong>Accounts ({DRAWDOWN_ORDERS[drawdownOrder]}):</strong>{" "}
+                  {ut_now.buckets.map((b, i) => (
+                    <span key={b.id}>
+                      {i > 0 ? " • " : ""}
+                      {b.label} {b.emptiedAge != null ? <strong style={{ color: theme.danger }}>empties ~ age {b.emptiedAge}</strong> : <>ends at <strong>{fmtIn(inBasis(b.endNom, horizonAge))}</strong></>}
+                    </span>
+                  ))}
+                  .
+                </li>
+              )}
+              {ut_now.agePension && (
+                <li>
+                  🏛️ <strong>Age Pension ({pensionCouple ? "couple" : "single"}, {pensionHomeowner ? "homeowner" : "non‑homeowner"}):</strong>{" "}
+                  {ut_now.agePension.startAge != null
+                    ? <>tops up spending from age <strong>{ut_now.agePension.startAge}</strong>, about <span style={{ fontWeight: 800 }}>{fmtMoney(pensionPaid)}</span> paid in total ({basisTag}).</>
+                    : "not payable under the assets and income tests with current settings."}
+                </li>
+              )}
+              {ut_now.lifeEvents?.length > 0 && (
+                <li>
+                  📅 <strong>Life events:</strong> {ut_now.lifeEvents.length} {ut_now.lifeEvents.length === 1 ? "event" : "events"}, net{" "}
+                  <span style={{ fontWeight: 800 }}>{fmtMoney(eventsNet)}</span> ({basisTag})
+                  {ut_now.lifeEvents.some((ev) => ev.shortfall > 0) && <span style={{ color: theme.danger }}> — some outflows could not be fully funded</span>}.
+                </li>
+              )}
+              {tab === TABS.TARGET && incomeStats && (
+                <li>
+                  💸 <strong>Income paid ({WITHDRAWAL_STRATEGIES[withdrawalStrategy]}, {basisTag}):</strong> starts at{" "}
+                  <span style={{ fontWeight: 800 }}>{fmtMoney(incomeStats.first)}</span>, averages {fmtMoney(incomeStats.average)} and falls as low as{" "}
+                  <span style={{ fontWeight: 800 }}>{fmtMoney(incomeStats.lowest)}</span> at age {incomeStats.lowestAge}.
+                </li>
+              )}
               <li>
-                💵 <strong>Max sustainable annual spend (today $):</strong> <span style={{ fontWeight: 800 }}>{fmtAUD(sustainableSpendToday)}</span> — to last until around <strong>age {lifeExpectancy}</strong>.
+                💵 <strong>Max sustainable annual spend ({spendTag}):</strong> <span style={{ fontWeight: 800 }}>{fmtMoney(sustainableSpendShown)}</span> — to last until around <strong>age {planEndAge}</strong>.
               </li>
             </ul>
 
@@ -1182,7 +3372,7 @@ export default function App() {
                 <ul style={{ margin: 0, paddingLeft: 18, lineHeight: 1.7 }}>
                   <li>
                     <strong>Cost of waiting:</strong> Delaying <strong>{delayYears}</strong> years reduces your balance at retirement by about {" "}
-                    <strong style={{ color: theme.danger }}>{fmtAUD(costOfDelayAtRet)}</strong>.
+                    <strong style={{ color: theme.danger }}>{fmtIn(costOfDelayAtRet)}</strong>.
                   </li>
                   <li>
                     <strong>Plain English:</strong> Starting earlier means more months enjoying returns; waiting misses that compounding window, which you cannot get back later.
@@ -1201,35 +3391,35 @@ export default function App() {
                       {yearsEarly} {yearsEarly === 1 ? "year" : "years"} earlier than DIY.
                     </li>
                     <li>
-                      <strong>Total fees paid before running out:</strong> <strong style={{ color: theme.danger }}>{fmtAUD(totalFeesPaid)}</strong>
+                      <strong>Total fees paid before running out:</strong> <strong style={{ color: theme.danger }}>{fmtIn(totalFeesPaid)}</strong>
                     </li>
                     <li>
-                      <strong>DIY balance when adviser hit zero:</strong> <strong style={{ color: theme.success }}>{fmtAUD(diyBalanceAtAdviserRunOut)}</strong> — 
+                      <strong>DIY balance when adviser hit zero:</strong> <strong style={{ color: theme.success }}>{fmtIn(diyBalanceAtAdviserRunOut)}</strong> — 
                       this is the lost opportunity cost.
                     </li>
                     <li>
-                      <strong>DIY final balance (full horizon):</strong> <strong style={{ color: theme.success }}>{fmtAUD(ut_diy_now.endNom)}</strong>
+                      <strong>DIY final balance (full horizon):</strong> <strong style={{ color: theme.success }}>{fmtIn(endIn(ut_diy_now))}</strong>
                     </li>
                     <li style={{ marginTop: 8, padding: 8, background: dark ? "#1a0f0f" : "#fff5f5", borderRadius: 6, border: `1px solid ${theme.danger}` }}>
-                      <strong style={{ color: theme.danger }}>Conclusion:</strong> By following the Adviser strategy, you ran out of money {yearsEarly} {yearsEarly === 1 ? "year" : "years"} earlier and paid {fmtAUD(totalFeesPaid)} in fees, 
+                      <strong style={{ color: theme.danger }}>Conclusion:</strong> By following the Adviser strategy, you ran out of money {yearsEarly} {yearsEarly === 1 ? "year" : "years"} earlier and paid {fmtIn(totalFeesPaid)} in fees, 
                       while the DIY strategy maintained a positive balance and continued compounding for the full horizon.
                     </li>
                     <li style={{ color: theme.muted, marginTop: 8, fontSize: 13 }}>
-                      DIY fees: {diyFeePct}% + {fmtAUD(diyFixed)} /yr • Adviser fees: {advisorFeePct}% + {fmtAUD(advisorFixed)} /yr
+                      DIY fees: {feeText(diyFeePct, diyFixed, diySchedule)} • Adviser fees: {feeText(advisorFeePct, advisorFixed, advisorSchedule)}
                     </li>
                   </ul>
                 ) : (
                   <ul style={{ margin: 0, paddingLeft: 18, lineHeight: 1.7 }}>
                     <li>
                       <strong>At retirement:</strong> Adviser leaves about {" "}
-                      <strong style={{ color: theme.danger }}>{fmtAUD(feeDragAtRet)}</strong> less than DIY (<strong>{feeDragRetPct}%</strong> drag).
+                      <strong style={{ color: theme.danger }}>{fmtIn(feeDragAtRet)}</strong> less than DIY (<strong>{feeDragRetPct}%</strong> drag).
                     </li>
                     <li>
                       <strong>Over the full horizon:</strong> Adviser leaves about {" "}
-                      <strong style={{ color: theme.danger }}>{fmtAUD(feeDragAtHorizon)}</strong> less than DIY (~<strong>{feeDragHznPct}%</strong> of the DIY outcome).
+                      <strong style={{ color: theme.danger }}>{fmtIn(feeDragAtHorizon)}</strong> less than DIY (~<strong>{feeDragHznPct}%</strong> of the DIY outcome).
                     </li>
                     <li style={{ color: theme.muted }}>
-                      DIY fees: {diyFeePct}% + {fmtAUD(diyFixed)} /yr • Adviser fees: {advisorFeePct}% + {fmtAUD(advisorFixed)} /yr
+                      DIY fees: {feeText(diyFeePct, diyFixed, diySchedule)} • Adviser fees: {feeText(advisorFeePct, advisorFixed, advisorSchedule)}
                     </li>
                   </ul>
                 )}
@@ -1246,19 +3436,21 @@ export default function App() {
     </div>
   );
 
-  return <PasswordGate>{content}</PasswordGate>;
+  // RangePair and the other controls format in the scenario's region.
+  return <FormatContext.Provider value={formats}>{page}</FormatContext.Provider>;
 }
 
 // ============== Input (range + number) ===================
 function RangePair({ label, value, onChange, id, theme, min, max, step = 1, money = false, disabled = false, hint }) {
   const [text, setText] = useState(String(value));
   const [focus, setFocus] = useState(false);
+  const { region, fmtMoney, parseMoney, moneyText } = useContext(FormatContext);
   useEffect(() => {
     if (!focus) setText(String(value));
   }, [value, focus]);
 
   const commit = () => {
-    const raw = money ? Number(String(text).replace(/[^0-9]/g, "")) : Number(text);
+    const raw = money ? parseMoney(text) : Number(text);
     const v = Number.isFinite(raw) ? raw : value;
     const c = clamp(v, min, max);
     onChange(c);
@@ -1269,15 +3461,15 @@ function RangePair({ label, value, onChange, id, theme, min, max, step = 1, mone
     onChange(n);
     setText(String(n));
   };
-  const display = money ? (focus ? text : fmtAUD(Number(text) || 0).replace(/^A\$/, "$")) : text;
+  const display = money ? (focus ? text : region.short + fmtMoney(Number(text) || 0).slice(region.symbol.length)) : text;
   const sliderFill = ((Number(value) - min) / Math.max(1, max - min)) * 100;
   const sliderFillClamped = Math.min(100, Math.max(0, sliderFill));
 
   return (
     <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
       <label htmlFor={id} style={{ fontSize: 13, color: theme.muted, display: "flex", justifyContent: "space-between" }}>
-        <span>{label}</span>
-        {hint ? <span style={{ opacity: 0.7 }}>{hint}</span> : null}
+        <span>{moneyText(label)}</span>
+        {hint ? <span style={{ opacity: 0.7 }}>{moneyText(hint)}</span> : null}
       </label>
       <div style={{ display: "grid", gridTemplateColumns: "1fr auto", gap: 8, alignItems: "center" }}>
         <input
@@ -1344,146 +3536,130 @@ function RangePair({ label, value, onChange, id, theme, min, max, step = 1, mone
   );
 }
 
-// ============== Tiny test harness ===================
-(function runTests() {
-  try {
-    const base = simulate({
-      currentAge: 40,
-      retirementAge: 60,
-      horizonYears: 50,
-      startAssets: 200000,
-      monthlySave: 1500,
-      preAnnualGross: 0.08,
-      postRealAnnualGross: 0.025,
-      inflationAnnual: 0.0,
-      annualSpendToday: 0,
-      delayYears: 0,
-      feeAnnualPre: 0.002,
-      feeAnnualPost: 0.002,
-      fixedFeeAnnual: 0,
-    });
-    console.assert(base.rows.length > 0, "simulate should return rows");
-    console.assert(typeof base.endNom === "number", "endNom should be number");
-
-    const delayed = simulate({
-      currentAge: 40,
-      retirementAge: 60,
-      horizonYears: 50,
-      startAssets: 200000,
-      monthlySave: 1500,
-      preAnnualGross: 0.08,
-      postRealAnnualGross: 0.025,
-      inflationAnnual: 0.0,
-      annualSpendToday: 0,
-      delayYears: 3,
-      feeAnnualPre: 0.002,
-      feeAnnualPost: 0.002,
-      fixedFeeAnnual: 0,
-    });
-    console.assert(base.endNom >= delayed.endNom, "Delaying contributions should not increase end balance in this setup");
-
-    const higherFees = simulate({
-      currentAge: 40,
-      retirementAge: 60,
-      horizonYears: 50,
-      startAssets: 200000,
-      monthlySave: 1500,
-      preAnnualGross: 0.08,
-      postRealAnnualGross: 0.025,
-      inflationAnnual: 0.0,
-      annualSpendToday: 0,
-      delayYears: 0,
-      feeAnnualPre: 0.02,
-      feeAnnualPost: 0.02,
-      fixedFeeAnnual: 0,
-    });
-    console.assert(base.endNom > higherFees.endNom, "Higher fees should reduce end balance");
-
-    const withSpend = simulate({
-      currentAge: 40,
-      retirementAge: 60,
-      horizonYears: 50,
-      startAssets: 200000,
-      monthlySave: 1500,
-      preAnnualGross: 0.08,
-      postRealAnnualGross: 0.025,
-      inflationAnnual: 0.02,
-      annualSpendToday: 60000,
-      delayYears: 0,
-      feeAnnualPre: 0.002,
-      feeAnnualPost: 0.002,
-      fixedFeeAnnual: 0,
-    });
-    console.assert(withSpend.endNom <= base.endNom, "Adding drawdown spend should not increase ending balance");
-    console.assert(withSpend.endReal <= withSpend.endNom, "With inflation > 0, real end balance should be <= nominal end balance");
-
-    const zeroInfl = simulate({
-      currentAge: 40,
-      retirementAge: 60,
-      horizonYears: 50,
-      startAssets: 200000,
-      monthlySave: 1500,
-      preAnnualGross: 0.08,
-      postRealAnnualGross: 0.025,
-      inflationAnnual: 0.0,
-      annualSpendToday: 0,
-      delayYears: 0,
-      feeAnnualPre: 0.0,
-      feeAnnualPost: 0.0,
-      fixedFeeAnnual: 0,
-    });
-    console.assert(Math.abs(zeroInfl.endReal - zeroInfl.endNom) < 1e-6, "With 0% inflation, real ~= nominal at end");
+// ============== Fee schedule editor ===================
+// Sits under the flat % and fixed fee of one side of the Fees tab; `onChange` takes a state updater.
+function FeeScheduleEditor({ id, schedule, onChange, theme }) {
+  const set = (key, v) => onChange((s) => ({ ...s, [key]: v }));
+  const setTier = (i, key, v) => onChange((s) => ({ ...s, tiers: s.tiers.map((t, j) => (j === i ? { ...t, [key]: v } : t)) }));
+  const cell = { width: "100%", boxSizing: "border-box", borderRadius: 10, border: `1px solid ${theme.border}`, padding: "6px 8px", background: theme.inputBg || theme.pageBg, color: theme.text };
+  const small = { borderRadius: 10, border: `1px solid ${theme.border}`, background: theme.cardBg, color: theme.text, cursor: "pointer", fontWeight: 700, fontSize: 12 };
 
-    console.log("✅ simulate() basic tests passed");
-  } catch (e) {
-    console.warn("❌ simulate() tests encountered an error", e);
-  }
-})();
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10, marginTop: 10 }}>
+      <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13, fontWeight: 700 }}>
+        <input type="checkbox" checked={schedule.enabled} onChange={(e) => set("enabled", e.target.checked)} />
+        📑 Detailed fee schedule
+      </label>
+      {schedule.enabled && (
+        <>
+          <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+            <div style={{ display: "grid", gridTemplateColumns: "minmax(110px,1fr) 80px 32px", gap: 6, color: theme.muted, fontSize: 12 }}>
+              <span>Balance up to ($, 0 = no limit)</span>
+              <span>% p.a.</span>
+              <span />
+            </div>
+            {schedule.tiers.map((t, i) => (
+              <div key={i} style={{ display: "grid", gridTemplateColumns: "minmax(110px,1fr) 80px 32px", gap: 6, alignItems: "center" }}>
+                <input type="number" aria-label={`Tier ${i + 1} balance up to`} value={t.upTo} onChange={(e) => setTier(i, "upTo", clamp(e.target.value, 0, 100_000_000))} style={cell} />
+                <input type="number" aria-label={`Tier ${i + 1} % p.a.`} value={t.pct} step={0.05} onChange={(e) => setTier(i, "pct", clamp(e.target.value, 0, 5))} style={cell} />
+                <button onClick={() => onChange((s) => ({ ...s, tiers: s.tiers.filter((_, j) => j !== i) }))} title="Remove tier" style={small}>
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => onChange((s) => ({ ...s, tiers: [...s.tiers, { upTo: 0, pct: 0 }] }))}
+              disabled={schedule.tiers.length >= 10}
+              style={{ ...small, alignSelf: "flex-start", padding: "6px 10px" }}
+            >
+              + Add tier
+            </button>
+          </div>
+          <RangePair id={`${id}FeeCap`} label="Cap on % Fees ($/yr, 0 = none)" value={schedule.capAnnual} onChange={(v) => set("capAnnual", clamp(v, 0, 100_000))} theme={theme} min={0} max={100_000} step={250} money />
+          <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13, color: theme.muted }}>
+            <input type="checkbox" checked={schedule.indexFixed} onChange={(e) => set("indexFixed", e.target.checked)} />
+            Fixed fee rises with CPI
+          </label>
+          <RangePair id={`${id}Trades`} label="Trades per Year" value={schedule.tradesPerYear} onChange={(v) => set("tradesPerYear", clamp(Math.round(v), 0, 365))} theme={theme} min={0} max={52} step={1} />
+          <RangePair id={`${id}Brokerage`} label="Brokerage per Trade ($)" value={schedule.brokerage} onChange={(v) => set("brokerage", clamp(v, 0, 1000))} theme={theme} min={0} max={100} step={1} money />
+          <RangePair id={`${id}Perf`} label="Performance Fee (% of return over hurdle)" value={schedule.perfPct} onChange={(v) => set("perfPct", clamp(v, 0, 50))} theme={theme} min={0} max={30} step={1} />
+          <RangePair id={`${id}Hurdle`} label="Performance Hurdle (% p.a.)" value={schedule.perfHurdlePct} onChange={(v) => set("perfHurdlePct", clamp(v, -5, 20))} theme={theme} min={-5} max={20} step={0.5} disabled={!schedule.perfPct} />
+          <RangePair id={`${id}Establish`} label="Establishment Fee ($, one-off)" value={schedule.establishment} onChange={(v) => set("establishment", clamp(v, 0, 50_000))} theme={theme} min={0} max={10_000} step={100} money />
+          <p style={{ margin: 0, color: theme.muted, fontSize: 12 }}>
+            Tiers are marginal bands of the total balance and replace the flat % fee. The cap applies to the tiered fee each plan year; performance fees are
+            charged at each year end on the year's earnings above the hurdle.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
 
-function PasswordGate({ children }) {
-  const [input, setInput] = useState("");
-  const [error, setError] = useState("");
-  const [authed, setAuthed] = useState(false);
+// ============== Adviser sign-in =================
+// Hashes and salts come from advisers.json (see src/auth.js); passwords never appear in the bundle.
+const ADVISERS = adviserConfig.advisers;
 
-  const expectedPassword = useMemo(() => {
-    const month = new Date().getMonth() + 1;
-    return `MJL${month}`;
-  }, []);
+const waitText = (ms) => (ms < 60000 ? `${Math.ceil(ms / 1000)} seconds` : `${Math.ceil(ms / 60000)} minutes`);
 
-  const attemptLogin = () => {
-    const normalized = (input || "").trim().toUpperCase();
-    if (normalized === expectedPassword) {
-      setAuthed(true);
-      setError("");
-    } else {
-      setError("Incorrect password. Please try again.");
+function AdviserGate({ onSignIn }) {
+  const [adviserId, setAdviserId] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const attemptLogin = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    setBusy(true);
+    try {
+      const wait = lockRemaining(localStorage, adviserId, Date.now());
+      if (wait) return setError(`Too many failed attempts. Try again in ${waitText(wait)}.`);
+      const adviser = await verifyAdviser(ADVISERS, adviserId, password);
+      if (adviser) {
+        clearFailures(localStorage, adviserId);
+        onSignIn(startSession(localStorage, adviser, Date.now()));
+        return;
+      }
+      const lock = recordFailure(localStorage, adviserId, Date.now());
+      setPassword("");
+      setError(`Incorrect adviser ID or password.${lock ? ` Locked for ${waitText(lock)}.` : ""}`);
+    } catch {
+      setError("Sign-in needs a secure (https) connection in a current browser.");
+    } finally {
+      setBusy(false);
     }
   };
 
-  if (authed) return children;
-
   return (
     <div className="ut-shell ut-shell--gate">
-      <div className="ut-gate-card">
+      <form className="ut-gate-card" onSubmit={attemptLogin}>
         <h1>Welcome to UltimateTarget</h1>
-        <p>Please enter this month&apos;s access password to continue.</p>
+        <p>Sign in with your adviser ID and password to continue.</p>
+        <input
+          className="ut-gate-input"
+          placeholder="Adviser ID"
+          autoComplete="username"
+          value={adviserId}
+          onChange={(e) => setAdviserId(e.target.value)}
+        />
         <input
           type="password"
           className="ut-gate-input"
           placeholder="Password"
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          onKeyDown={(e) => {
-            if (e.key === "Enter") {
-              attemptLogin();
-            }
-          }}
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
         />
-        <button className="ut-gate-button" onClick={attemptLogin}>
-          Log in
+        <button type="submit" className="ut-gate-button" disabled={busy}>
+          {busy ? "Checking…" : "Log in"}
         </button>
         {error ? <div className="ut-gate-error">{error}</div> : null}
-      </div>
+        {ADVISERS.length ? null : (
+          <div className="ut-gate-error">
+            No advisers are set up yet. Add one with <code>node scripts/add-adviser.mjs</code> and rebuild.
+          </div>
+        )}
+      </form>
     </div>
   );
 }
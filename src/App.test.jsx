@@ -0,0 +1,178 @@
+import { assert, test, vi } from "vitest";
+import { jsPDF } from "jspdf";
+import { simulate, sustainableSpend, tieredFeeAnnual } from "./engine";
+import { buildXlsx, columnName, toCsv } from "./spreadsheet";
+import { buildReport, compactMoney, niceStep, pdfText, REPORT_COLORS } from "./pdfReport";
+import { createEngineClient } from "./engineClient";
+import { flattenFields, seriesTable, spendInBasis, todaysRow } from "./exportData";
+import { REGIONS, formatsFor } from "./regions";
+import { FEE_SCHEDULE_DEFAULT, GLIDE_TEMPLATES, feeScheduleParams, glideFromTemplate } from "./scenarioDefaults";
+import { LIBRARY_KEY, SHARE_VERSION, decodeShareState, encodeShareState, groupScenariosByClient, loadLibrary, validateScenario } from "./scenarios";
+
+test("fee schedule editor → simulate() params", () => {
+  const tiers = feeScheduleParams({ ...FEE_SCHEDULE_DEFAULT, enabled: true, tiers: [{ upTo: 0, pct: 0.5 }, { upTo: 500000, pct: 1 }] }).tiers;
+  assert(tiers[1].upTo === Infinity && Math.abs(tieredFeeAnnual(800000, tiers) - 6500) < 1e-6, "Tiers should sort with the open band last and charge each band's rate on its slice");
+  assert(feeScheduleParams(FEE_SCHEDULE_DEFAULT) === null, "A switched-off schedule should not reach simulate()");
+});
+
+test("CSV, XLSX and series exports", () => {
+  const superBase = { currentAge: 40, retirementAge: 60, horizonYears: 2, startAssets: 0, monthlySave: 0, preAnnualGross: 0, postRealAnnualGross: 0, inflationAnnual: 0, annualSpendToday: 0, delayYears: 0 };
+  assert(toCsv([{ name: "S", rows: [["a", 'say "hi"', null], [1, "x,y", true]] }]) === 'S\r\na,"say ""hi""",\r\n1,"x,y",true\r\n', "CSV cells should be quoted and escaped");
+  assert(
+    toCsv([{ name: "=S", rows: [["=HYPERLINK(\"x\")", "+1", "-2", "@SUM(A1)", "\tx", "\rx", -3, "a=b"]] }]) === `'=S\r\n"'=HYPERLINK(""x"")",'+1,'-2,'@SUM(A1),'\tx,"'\rx",-3,a=b\r\n`,
+    "Text that starts like a formula should be exported as text; numbers stay numbers"
+  );
+  assert([0, 25, 26, 701, 702].map(columnName).join() === "A,Z,AA,ZZ,AAA", "Column letters should follow Excel's A…Z, AA… scheme");
+  assert(flattenFields({ a: 1, g: { p: [{ age: 50 }] }, e: [] }).join("|") === "a,1|g.p.0.age,50|e,", "Nested fields should flatten to dotted keys");
+  const table = seriesTable(simulate(superBase).rows);
+  assert(table.length === 4 && table[0].includes("ledger.closing") && table[1].length === table[0].length, "Series tables should have a header and one full row per year");
+  const deflated = todaysRow({ age: 60, partnerAge: 58, nominal: 220, real: 200, cashNominal: 110, ledger: { closing: 220 } }, 1.1);
+  assert(
+    deflated.age === 60 && deflated.partnerAge === 58 && Math.abs(deflated.balance - 200) < 1e-9 && Math.abs(deflated.cashBalance - 100) < 1e-9 && Math.abs(deflated.ledger.closing - 200) < 1e-9 && !("real" in deflated) && !("nominal" in deflated),
+    "Today's-dollar export rows should deflate money (not ages) and rename nominal columns"
+  );
+  const xlsx = buildXlsx([{ name: "A/B", rows: [["x", "a\u0001b\tc\u007f"], [1]] }, { name: "a-b", rows: [] }]);
+  const xlsxText = new TextDecoder().decode(xlsx);
+  assert(xlsx[0] === 0x50 && xlsx[1] === 0x4b && xlsxText.includes('name="A-B"') && xlsxText.includes('name="a-b~2"'), "XLSX should be a zip with sanitised, unique sheet names");
+  assert(xlsxText.includes(">ab\tc<"), "XLSX text should drop control characters but keep tabs");
+});
+
+test("a today's-dollar spend round-trips through the dollar-basis switch", () => {
+  const plan = { currentAge: 40, retirementAge: 60, horizonYears: 50, startAssets: 300000, monthlySave: 1000, preAnnualGross: 0.07, postRealAnnualGross: 0.04, inflationAnnual: 0.025, annualSpendToday: 0, delayYears: 0 };
+  const spend = sustainableSpend(plan, 90);
+  const cpiAtRet = 1.025 ** 20;
+  // the first retirement year's draw; indexing within that year keeps it a little off the input
+  const firstRow = simulate({ ...plan, annualSpendToday: spend }).rows.find((r) => r.age === 61);
+  const firstDraw = firstRow.ledger.withdrawals;
+  assert(spendInBasis(spend, true, cpiAtRet) === spend, "Today's dollars should show the spend as entered");
+  assert(Math.abs(spendInBasis(spend, false, cpiAtRet) / firstDraw - 1) < 0.02, "Future dollars should show the first retirement year's draw");
+  assert(Math.abs(todaysRow(firstRow.ledger, 1.025 ** 21).withdrawals / spend - 1) < 0.02, "That draw back in today's dollars should be the spend entered");
+});
+
+test("PDF report and regional formats", () => {
+  assert(pdfText("🦘 Non‑super ≈ A$1 → 2") === "Non-super ~ A$1 -> 2", "PDF text should drop emoji and map non-Latin-1 characters");
+  assert(niceStep(1.2e6) === 250000 && compactMoney(1.5e6) === "$1.5M" && compactMoney(250000) === "$250k", "Chart axes should use round steps and compact labels");
+  assert(compactMoney(-2500, "£") === "-£3k", "PDF axes should take the region's currency sign");
+  const au = formatsFor("AU");
+  const uk = formatsFor("UK");
+  const nz = formatsFor("NZ");
+  assert(au.fmtMoney(1234567) === "A$1,234,567" && au.fmtAxis(-1.5e6) === "-$1.5M" && au.parseMoney("A$1,250.50") === 1250.5, "AU should format in Australian dollars");
+  assert(uk.fmtMoney(1234567) === "£1,234,567" && uk.fmtAxis(250000) === "£250k" && uk.moneyText("Cap ($/yr)") === "Cap (£/yr)", "UK should format in pounds");
+  assert(uk.parseMoney("£12,500") === 12500 && uk.parseMoney("") === 0, "Typed pounds should parse back to numbers");
+  assert(nz.fmtMoney(5000) === "NZ$5,000" && nz.moneyText("Cap ($/yr)") === "Cap ($/yr)", "NZ should format in NZ dollars");
+  assert(formatsFor("nope") === au && au.fmtMoney(1) === "A$1", "Unknown regions should fall back to AU");
+  assert(uk.fmtStamp(0) !== formatsFor("US").fmtStamp(0), "Dates should follow the region's locale");
+  const ukGlide = glideFromTemplate("Balanced", 65, "UK");
+  assert(ukGlide.growthReturn === GLIDE_TEMPLATES.Balanced.growthReturn + REGIONS.UK.growthShift && glideFromTemplate("Balanced", 65).growthReturn === GLIDE_TEMPLATES.Balanced.growthReturn, "Presets should take the region's return shifts");
+  assert(validateScenario({ region: "US" }).state.region === "US" && validateScenario({ region: "FR" }).state.region === "AU", "Scenario region should validate against REGIONS");
+  const report = buildReport(jsPDF, {
+    title: "T",
+    subtitle: "S",
+    client: "Smith",
+    adviser: "Jo Adviser",
+    preparedOn: "1 July 2025",
+    assumptions: Array.from({ length: 60 }, (_, i) => [`Field ${i}`, i]),
+    charts: [{ title: "C", series: [{ label: "A", color: REPORT_COLORS[0], points: [[40, 0], [50, 1e5], [60, 2e5]] }], markers: [{ age: 55, label: "R" }] }],
+    insights: ["One."],
+    feeTable: { head: ["", "DIY", "Adviser", "Difference"], rows: [["Fees", "1%", "2%", ""]] },
+    disclaimer: "Educational only.",
+  });
+  const pages = report.getNumberOfPages();
+  assert(pages >= 4 && report.output().includes(`Page ${pages} of ${pages}`), "The report should paginate long tables and number every page");
+  assert(report.output().includes("Prepared by: Jo Adviser") && report.output().split("Adviser: Jo Adviser").length === pages + 1, "The signed-in adviser should be stamped on the cover and every page");
+});
+
+test("scenario library", () => {
+  const store = (items) => ({ getItem: (k) => items[k] ?? null });
+  const migrated = loadLibrary(store({ ut_v4: JSON.stringify({ client: "Smith", currentAge: 45 }) }));
+  const first = migrated.scenarios[migrated.activeId];
+  assert(Object.keys(migrated.scenarios).length === 1 && first.client === "Smith" && first.state.currentAge === 45, "The legacy blob should become the first scenario");
+  const lib = { version: 1, activeId: "gone", scenarios: { a: { id: "a", client: "", updatedAt: 3 }, b: { id: "b", client: "Zed", updatedAt: 1 }, c: { id: "c", client: "Abe", updatedAt: 2 }, d: { id: "d", client: "Zed", updatedAt: 5 } } };
+  assert(loadLibrary(store({ [LIBRARY_KEY]: JSON.stringify(lib) })).activeId === "d", "A missing active scenario should fall back to the latest");
+  assert(
+    groupScenariosByClient(lib.scenarios).map(([c, list]) => `${c}:${list.map((x) => x.id).join("")}`).join() === "Abe:c,Zed:db,:a",
+    "Scenarios should group by client A→Z, newest first, unnamed last"
+  );
+});
+
+test("scenario schema", () => {
+  const defaults = validateScenario({});
+  assert(defaults.corrections.length === 0 && validateScenario(defaults.state).corrections.length === 0, "Defaults should validate cleanly and round-trip");
+  const bad = validateScenario({ currentAge: "45", retirementAge: 30, lifeExpectancy: -5, mcSeed: 7.6, dark: "yes", glide: { points: [{ age: 50, growth: 140 }] } });
+  const fixedField = (f) => bad.corrections.find((c) => c.field === f);
+  assert(bad.state.currentAge === 45 && fixedField("currentAge").reason === "text converted to a number", "Numeric text should be converted and reported");
+  assert(bad.state.retirementAge === 46 && bad.state.lifeExpectancy === 47, "Ages should be pushed into order using the RangePair limits");
+  assert(bad.state.mcSeed === 8 && bad.state.dark === true && bad.state.glide.points[0].growth === 100, "Integers, booleans and nested fields should be corrected");
+  assert(bad.corrections.length === 6, "Every corrected field should be reported");
+  const v3 = validateScenario({ schemaVersion: 3, currentAge: 50, retirementAge: 65 });
+  const v3Fix = v3.corrections.find((c) => c.field === "schemaVersion");
+  assert(v3.fromVersion === 3 && v3.state.currentAge === 40 && v3.state.retirementAge === 60, "Versions older than v4 should load defaults");
+  assert(v3Fix?.reason === "unsupported older version; defaults used" && v3.corrections.length === 1, "Unsupported versions should be reported once");
+  assert(validateScenario({ schemaVersion: 4, activePreset: "Growth" }).state.activePreset === "", "v4 presets should lose their stale label");
+  assert(validateScenario({ activePreset: "Balanced", glideEnabled: true }).state.activePreset === "Balanced", "Current presets should survive validation");
+  const schedule = validateScenario({ diySchedule: { enabled: true, tiers: [{ upTo: -1, pct: 9 }], tradesPerYear: 2.4 } }).state.diySchedule;
+  assert(schedule.enabled && schedule.tiers[0].upTo === 0 && schedule.tiers[0].pct === 5 && schedule.tradesPerYear === 2 && schedule.perfHurdlePct === 6, "Fee schedules should be clamped and filled from defaults");
+});
+
+test("share links", async () => {
+  const rejects = (param) => decodeShareState(param).then(() => false, () => true);
+  const link = await encodeShareState({ client: "Zoë", currentAge: 41 });
+  const { state, version } = await decodeShareState(link);
+  assert(version === SHARE_VERSION && state.client === "Zoë" && state.currentAge === 41, "Share links should round-trip snapshot() exactly");
+  assert(/^[A-Za-z0-9._-]+$/.test(link), "Share links should be URL-safe");
+  const legacy = await decodeShareState(btoa(JSON.stringify({ currentAge: 50 })));
+  assert(legacy.version === 1 && legacy.state.currentAge === 50, "Version 1 (plain base64) links should still open");
+  const [, body, sum] = link.split(".");
+  const flipped = body.slice(0, -2) + (body.at(-2) === "A" ? "B" : "A") + body.at(-1);
+  assert(await rejects(`v2.${flipped}.${sum}`), "Edited payloads should be rejected");
+  assert(await rejects(`v2.${body}.zz`), "A wrong checksum should be rejected");
+  assert(await rejects(`v9.${body}.${sum}`), "Links from a newer version should be rejected");
+  assert(await rejects("not-a-link"), "Malformed links should be rejected");
+});
+
+test("engine worker client drops stale requests and reports errors", () => {
+  const workers = [];
+  vi.stubGlobal(
+    "Worker",
+    class {
+      constructor() {
+        this.sent = [];
+        this.terminated = false;
+        workers.push(this);
+      }
+      postMessage(m) {
+        this.sent.push(m);
+      }
+      terminate() {
+        this.terminated = true;
+      }
+    }
+  );
+  vi.useFakeTimers();
+  try {
+    const replies = [];
+    const client = createEngineClient(
+      (result, request, more) => replies.push(["ok", result, request, more]),
+      (error, request, more) => replies.push(["error", error, request, more]),
+      () => replies.push(["fail"])
+    );
+    const [first] = workers;
+    client.post("A");
+    client.post("B");
+    client.post("C");
+    assert(first.sent.map((m) => m.request).join() === "A", "Only one request should be in flight; newer ones wait in the queue");
+    first.onmessage({ data: { id: first.sent[0].id, result: "a" } });
+    assert(replies[0].join() === "ok,a,A,true" && first.sent.map((m) => m.request).join() === "A,C", "Replies should flag more work and send only the newest queued request");
+    first.onmessage({ data: { id: first.sent[1].id, error: "boom" } });
+    assert(replies[1].join() === "error,boom,C,false", "Worker errors should be reported, not just logged");
+    client.post("D");
+    client.post("E");
+    vi.advanceTimersByTime(300);
+    assert(first.terminated && workers[1]?.sent.map((m) => m.request).join() === "E", "A request still running after it was overtaken should be cancelled by restarting the worker");
+    first.onmessage({ data: { id: first.sent[2].id, result: "d" } });
+    assert(replies.length === 2, "Answers from a cancelled worker should be ignored");
+  } finally {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  }
+});
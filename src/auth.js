@@ -0,0 +1,114 @@
+/**
+ * Per-adviser sign-in for static hosting.
+ * - Credentials live in advisers.json as PBKDF2-SHA-256 hashes with a per-adviser salt;
+ *   add or rotate them with `node scripts/add-adviser.mjs`.
+ * - Lockout and sessions are kept in the browser's storage. That slows guessing and signs
+ *   people out, but a static site cannot enforce them against someone editing their own storage.
+ * - Storage and the clock are passed in so the rules can be tested without a browser.
+ */
+
+export const PBKDF2_ITERATIONS = 310000;
+export const SESSION_HOURS = 8;
+export const SESSION_KEY = "ut_session_v1";
+export const LOCKOUT_KEY = "ut_lockout_v1";
+
+// First FREE_ATTEMPTS failures are free; each one after that doubles the wait, up to LOCK_MAX_MS.
+export const FREE_ATTEMPTS = 3;
+const LOCK_BASE_MS = 30 * 1000;
+const LOCK_MAX_MS = 15 * 60 * 1000;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+export const normalizeAdviserId = (id) => String(id ?? "").trim().toLowerCase();
+
+// → base64 PBKDF2-SHA-256 of `password`, 256 bits.
+export async function hashPassword(password, salt, iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations }, key, 256);
+  return toBase64(new Uint8Array(bits));
+}
+
+// → an advisers.json entry for a new or rotated password.
+export async function makeAdviser(id, name, password, iterations = PBKDF2_ITERATIONS) {
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  return { id: normalizeAdviserId(id), name, salt, iterations, hash: await hashPassword(password, salt, iterations) };
+}
+
+// Compares every character so the time taken doesn't reveal how much of the hash matched.
+const sameText = (a, b) => {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  return diff === 0;
+};
+
+const DECOY = { salt: "AAAAAAAAAAAAAAAAAAAAAA==", hash: "" };
+
+// → the adviser ({ id, name }) or null. Unknown ids still pay for a hash so they look like wrong passwords.
+export async function verifyAdviser(advisers, id, password) {
+  const adviser = advisers.find((a) => a.id === normalizeAdviserId(id));
+  const entry = adviser || { ...DECOY, iterations: advisers[0]?.iterations ?? PBKDF2_ITERATIONS };
+  const hash = await hashPassword(String(password ?? ""), entry.salt, entry.iterations);
+  return adviser && sameText(hash, adviser.hash) ? { id: adviser.id, name: adviser.name } : null;
+}
+
+// ---- Lockout ----
+// { [adviserId]: { failures, lockedUntil } }
+const readJson = (storage, key) => {
+  try {
+    const v = JSON.parse(storage.getItem(key));
+    return v && typeof v === "object" ? v : null;
+  } catch {
+    return null;
+  }
+};
+const writeJson = (storage, key, value) => {
+  try {
+    if (value == null) storage.removeItem(key);
+    else storage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage can be full or blocked (private browsing); the lockout or session then just isn't remembered.
+  }
+};
+
+export const lockoutMs = (failures) => (failures < FREE_ATTEMPTS ? 0 : Math.min(LOCK_MAX_MS, LOCK_BASE_MS * 2 ** (failures - FREE_ATTEMPTS)));
+
+// → milliseconds until `id` may try again (0 when it may try now).
+export const lockRemaining = (storage, id, now) => Math.max(0, (readJson(storage, LOCKOUT_KEY)?.[normalizeAdviserId(id)]?.lockedUntil ?? 0) - now);
+
+// → the new lock in milliseconds.
+export function recordFailure(storage, id, now) {
+  const all = readJson(storage, LOCKOUT_KEY) || {};
+  const key = normalizeAdviserId(id);
+  const failures = (all[key]?.failures ?? 0) + 1;
+  const wait = lockoutMs(failures);
+  writeJson(storage, LOCKOUT_KEY, { ...all, [key]: { failures, lockedUntil: now + wait } });
+  return wait;
+}
+
+export function clearFailures(storage, id) {
+  const all = readJson(storage, LOCKOUT_KEY) || {};
+  delete all[normalizeAdviserId(id)];
+  writeJson(storage, LOCKOUT_KEY, Object.keys(all).length ? all : null);
+}
+
+// ---- Session ----
+// { id, name, signedInAt, expiresAt }
+export function startSession(storage, adviser, now, hours = SESSION_HOURS) {
+  const session = { id: adviser.id, name: adviser.name, signedInAt: now, expiresAt: now + hours * 3600 * 1000 };
+  writeJson(storage, SESSION_KEY, session);
+  return session;
+}
+
+// → the stored session, or null once it has expired or its adviser has been removed from the config.
+export function loadSession(storage, advisers, now) {
+  const s = readJson(storage, SESSION_KEY);
+  const adviser = s && advisers.find((a) => a.id === s.id);
+  if (!adviser || !(s.expiresAt > now)) {
+    if (s) writeJson(storage, SESSION_KEY, null);
+    return null;
+  }
+  return { ...s, name: adviser.name };
+}
+
+export const endSession = (storage) => writeJson(storage, SESSION_KEY, null);
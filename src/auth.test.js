@@ -0,0 +1,43 @@
+import { assert, test } from "vitest";
+import { FREE_ATTEMPTS, clearFailures, endSession, hashPassword, loadSession, lockRemaining, lockoutMs, makeAdviser, recordFailure, startSession, verifyAdviser } from "./auth";
+
+const memory = () => {
+  const m = new Map();
+  return { getItem: (k) => m.get(k) ?? null, setItem: (k, v) => m.set(k, String(v)), removeItem: (k) => m.delete(k) };
+};
+const t0 = 1e12;
+
+// A low iteration count keeps the hashing quick here.
+test("advisers are stored as salted PBKDF2 hashes", async () => {
+  const [jo, sam] = await Promise.all([makeAdviser(" Jo ", "Jo Adviser", "correct horse", 1000), makeAdviser("sam", "Sam", "correct horse", 1000)]);
+  const advisers = [jo, sam];
+  assert(jo.id === "jo" && jo.salt !== sam.salt && jo.hash !== sam.hash && !JSON.stringify(jo).includes("horse"), "Advisers should be stored as salted hashes only");
+  assert((await hashPassword("correct horse", jo.salt, 1000)) === jo.hash, "Hashing should be repeatable for the same salt");
+  assert((await verifyAdviser(advisers, "JO", "correct horse"))?.name === "Jo Adviser", "The right password should sign in, whatever the ID's case");
+  assert((await verifyAdviser(advisers, "jo", "Correct horse")) === null && (await verifyAdviser(advisers, "kim", "correct horse")) === null, "Wrong passwords and unknown IDs should be rejected");
+});
+
+test("failed attempts lock with exponential backoff", () => {
+  const store = memory();
+  assert(lockoutMs(FREE_ATTEMPTS - 1) === 0 && lockoutMs(FREE_ATTEMPTS + 1) === 2 * lockoutMs(FREE_ATTEMPTS) && lockoutMs(99) === 15 * 60 * 1000, "Lockout should back off exponentially up to a cap");
+  for (let i = 1; i < FREE_ATTEMPTS; i++) assert(recordFailure(store, "jo", t0) === 0, "The first few failures should not lock");
+  const lock = recordFailure(store, "Jo", t0);
+  assert(lock > 0 && lockRemaining(store, "jo", t0 + 1000) === lock - 1000 && lockRemaining(store, "sam", t0) === 0, "Repeated failures should lock that adviser only");
+  assert(lockRemaining(store, "jo", t0 + lock) === 0 && recordFailure(store, "jo", t0 + lock) === 2 * lock, "The next failure after a lock should wait longer");
+  clearFailures(store, "jo");
+  assert(lockRemaining(store, "jo", t0) === 0 && store.getItem("ut_lockout_v1") === null, "A successful sign-in should clear the failures");
+});
+
+test("sessions expire and end on log out", () => {
+  const store = memory();
+  const sam = { id: "sam", name: "Sam" };
+  const advisers = [{ id: "jo", name: "Jo Adviser" }, sam];
+  const session = startSession(store, { id: "jo", name: "Jo Adviser" }, t0, 8);
+  assert(loadSession(store, advisers, t0 + 1000)?.name === "Jo Adviser" && session.expiresAt === t0 + 8 * 3600 * 1000, "Sessions should survive a reload until they expire");
+  assert(loadSession(store, advisers, session.expiresAt) === null && store.getItem("ut_session_v1") === null, "Expired sessions should be cleared");
+  startSession(store, { id: "jo", name: "Jo Adviser" }, t0);
+  assert(loadSession(store, [sam], t0) === null, "Removing an adviser from the config should end their session");
+  startSession(store, { id: "jo", name: "Jo Adviser" }, t0);
+  endSession(store);
+  assert(loadSession(store, advisers, t0) === null, "Logging out should end the session");
+});
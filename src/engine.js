@@ -0,0 +1,816 @@
+/**
+ * Retirement projection engine: simulate() plus the solvers and analyses built on it.
+ * - Pure and UI-free: plain-data params in, plain-data results out (no React, DOM or formatting),
+ *   so the same code runs inline, in the test harness and in the Web Worker (engine.worker.js).
+ * - Rates are fractions (0.07 = 7% p.a.) and amounts are dollars; ages are in years.
+ * - createEngine() is the request/result contract the app and the worker share.
+ */
+
+// ================= Utils =================
+export const clamp = (v, min, max) => Math.min(Math.max(Number(v) || 0, min), max);
+export const nz = (n, fb = 0) => (Number.isFinite(n) ? n : fb);
+
+// Seeded PRNG (mulberry32) so Monte Carlo runs are reproducible for a given seed.
+const mulberry32 = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+// Standard normal via Box–Muller.
+const randn = (rng) => {
+  const u = Math.max(1e-12, rng());
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+// Linear-interpolated quantile of an ascending-sorted array.
+const quantile = (sorted, q) => {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// ============== Superannuation rules =================
+// Defaults reflect 2024–25 settings; every field can be overridden per scenario.
+const SUPER_DEFAULTS = {
+  startBalance: 0,
+  concessionalAnnual: 0, // employer SG + salary sacrifice, before contributions tax
+  nonConcessionalAnnual: 0, // personal after-tax contributions
+  concessionalCap: 30000,
+  nonConcessionalCap: 120000,
+  carryForwardYears: 5,
+  carryForwardBalanceLimit: 500000, // total super balance must be below this to use carry-forward
+  contributionsTax: 0.15,
+  earningsTax: 0.15, // accumulation phase; retirement phase is 0%
+  preservationAge: 60,
+  marginalTax: 0.37, // applied to excess concessional contributions kept outside super
+  returnPa: null, // own return for the super account; null follows the scenario return
+  feePct: 0, // super fund admin/investment fee on top of the scenario fee
+};
+
+// ============== Accounts & drawdown order =================
+// Withdrawal sequence by bucket kind for the ordered policies (pro-rata draws from all at once).
+const DRAWDOWN_SEQUENCE = {
+  nonSuperFirst: ["portfolio", "cash", "super"],
+  cashFirst: ["cash", "portfolio", "super"],
+  superFirst: ["super", "portfolio", "cash"],
+};
+
+// ============== Age Pension (Centrelink means test) =================
+// Annual amounts in today's dollars (20 Sep 2024 rates incl. supplements); the
+// simulation indexes them with CPI. Couple figures are combined for both members.
+export const AGE_PENSION_DEFAULTS = {
+  pensionAge: 67,
+  maxRate: { single: 29754, couple: 44855 },
+  assetsThreshold: {
+    single: { homeowner: 314000, nonHomeowner: 566000 },
+    couple: { homeowner: 470000, nonHomeowner: 722000 },
+  },
+  assetsTaper: 0.078, // $3/fortnight per $1,000 over the threshold
+  incomeFreeArea: { single: 5512, couple: 9672 },
+  incomeTaper: 0.5,
+  deemingThreshold: { single: 62600, couple: 103800 },
+  deemingLower: 0.0025,
+  deemingUpper: 0.0225,
+};
+
+// Pension payable for one year = lower of the assets-test and income-test rates.
+export function agePensionAnnual({ assets, otherIncome = 0, couple = false, homeowner = true, rates = AGE_PENSION_DEFAULTS, index = 1 }) {
+  const who = couple ? "couple" : "single";
+  const max = rates.maxRate[who] * index;
+  const a = Math.max(0, assets);
+  const assetsThreshold = rates.assetsThreshold[who][homeowner ? "homeowner" : "nonHomeowner"] * index;
+  const byAssets = max - Math.max(0, a - assetsThreshold) * rates.assetsTaper;
+  const dThreshold = rates.deemingThreshold[who] * index;
+  const deemed = Math.min(a, dThreshold) * rates.deemingLower + Math.max(0, a - dThreshold) * rates.deemingUpper;
+  const byIncome = max - Math.max(0, deemed + otherIncome - rates.incomeFreeArea[who] * index) * rates.incomeTaper;
+  return clamp(Math.min(byAssets, byIncome), 0, max);
+}
+
+// ============== Glide path (growth/defensive allocation by age) =================
+// Growth share (0–1) at `age`, linearly interpolated between points and held flat beyond the ends.
+export function glideGrowthAt(points, age) {
+  const pts = [...(points || [])].sort((a, b) => a.age - b.age);
+  if (!pts.length) return 0;
+  if (age <= pts[0].age) return pts[0].growth;
+  for (let i = 1; i < pts.length; i++) {
+    if (age <= pts[i].age) {
+      const a = pts[i - 1];
+      const b = pts[i];
+      return a.growth + ((b.growth - a.growth) * (age - a.age)) / Math.max(1e-9, b.age - a.age);
+    }
+  }
+  return pts[pts.length - 1].growth;
+}
+
+// ============== Withdrawal strategies (drawdown phase) =================
+// Each rule sets the household's spending for the coming year at the start of every retirement year.
+// "Target" below is annualSpendToday indexed to that year (the constant-dollar amount).
+const WITHDRAWAL_DEFAULTS = {
+  strategy: "constant",
+  pct: 0.04, // fixed % and floor & ceiling: share of the opening balance
+  floorPct: 0.85, // floor & ceiling: bounds as a share of target
+  ceilingPct: 1.15,
+  guardrail: 0.2, // guardrails: band around the initial withdrawal rate
+  adjust: 0.1, // guardrails: cut/raise applied when a rail is crossed
+};
+// ATO minimum annual payment for account-based pensions: [under age, rate].
+export const ATO_MIN_DRAWDOWN = [
+  [65, 0.04],
+  [75, 0.05],
+  [80, 0.06],
+  [85, 0.07],
+  [90, 0.09],
+  [95, 0.11],
+  [Infinity, 0.14],
+];
+export const atoMinimumRate = (age) => ATO_MIN_DRAWDOWN.find(([under]) => age < under)[1];
+
+// ============== Life events (lump sums on the timeline) =================
+// Every occurrence of each event within the horizon, as { label, age }. Recurring events repeat every
+// `everyYears` from `age` up to `untilAge` (inclusive); ages before today are skipped.
+export function lifeEventOccurrences(events, currentAge, endAge) {
+  const out = [];
+  (events || []).forEach((ev) => {
+    const every = Math.max(0, nz(ev.everyYears, 0));
+    const last = Math.min(endAge, every > 0 ? nz(ev.untilAge, endAge) : ev.age);
+    for (let a = ev.age; a <= last + 1e-9; a += every || Infinity) {
+      if (a >= currentAge) out.push({ ...ev, age: a });
+    }
+  });
+  return out.sort((a, b) => a.age - b.age);
+}
+
+// Month index (1-based, as in simulate) → events due that month; null when there are none.
+function lifeEventSchedule(events, currentAge, months) {
+  const occ = lifeEventOccurrences(events, currentAge, currentAge + months / 12).filter((ev) => nz(ev.amount, 0) !== 0);
+  if (!occ.length) return null;
+  const byMonth = new Map();
+  occ.forEach((ev) => {
+    const m = clamp(Math.round((ev.age - currentAge) * 12), 1, months);
+    byMonth.set(m, [...(byMonth.get(m) || []), ev]);
+  });
+  return byMonth;
+}
+
+// ============== Fee schedules (tiers, caps, brokerage, performance) =================
+// Annual % fee on `balance` across marginal tiers [{ upTo, pct }] (sorted, last upTo = Infinity).
+export function tieredFeeAnnual(balance, tiers) {
+  let fee = 0;
+  let from = 0;
+  for (const { upTo, pct } of tiers) {
+    if (balance <= from) break;
+    fee += (Math.min(balance, upTo) - from) * pct;
+    from = upTo;
+  }
+  return fee;
+}
+
+// ============== Adviser value-add (alpha) =================
+export const ALPHA_MAX = 0.03; // the break-even search and chart stop at 3% p.a.
+
+/**
+ * Annual return the adviser must add (tax, rebalancing, …) for its `metric` to match DIY.
+ * - diyParams carry any behaviour gap; advParams get `returnAlpha` set along 0–ALPHA_MAX.
+ * - Returns { target (DIY outcome), alpha (0 when none is needed, null when out of range), curve: [{ alpha, adviser }] }.
+ */
+export function breakEvenAlpha(diyParams, advParams, metric, planEndAge, points = 13) {
+  const measure = (p) => measureOutcome(p, planEndAge, [metric])[metric];
+  const target = measure(diyParams);
+  const adviserAt = (alpha) => measure({ ...advParams, returnAlpha: alpha });
+  const curve = Array.from({ length: points }, (_, i) => {
+    const alpha = (ALPHA_MAX * i) / (points - 1);
+    return { alpha, adviser: adviserAt(alpha) };
+  });
+  const alpha = goalSeek((a) => adviserAt(a) >= target, { max: ALPHA_MAX, iters: 14 });
+  return { target, alpha, curve };
+}
+
+// ============== Simulation (monthly) =================
+export function simulate({
+  currentAge,
+  retirementAge,
+  horizonYears,
+  startAssets,
+  monthlySave,
+  preAnnualGross,
+  postRealAnnualGross,
+  inflationAnnual,
+  annualSpendToday,
+  delayYears,
+  feeAnnualPre = 0,
+  feeAnnualPost = 0,
+  fixedFeeAnnual = 0,
+  returnShocks = null, // optional per-year additive return deviations (Monte Carlo)
+  returnShift = null, // optional { pre, post } added to every invested bucket's return, whatever its source (sensitivity)
+  superAccount = null, // optional super account (see SUPER_DEFAULTS); startAssets/monthlySave are then non-super
+  agePension = null, // optional { couple, homeowner, otherAssets, rates } — means-tested top-up once retired and of pension age
+  accounts = null, // optional { portfolio: { returnPa, feePct }, cash: { startBalance, monthly, returnPa, feePct } }
+  drawdownOrder = "nonSuperFirst", // key of DRAWDOWN_ORDERS
+  partner = null, // optional { currentAge, retirementAge, lifeExpectancy, startAssets, monthlySave, survivorSpendPct, primaryLifeExpectancy }
+  glidePath = null, // optional { points: [{ age, growth }], growthReturn, defensiveReturn, growthFee, defensiveFee } — replaces pre/post returns
+  withdrawal = null, // optional spending rule (see WITHDRAWAL_DEFAULTS); constant dollar when omitted
+  lifeEvents = null, // optional [{ label, age, amount (+ in / − out), real, everyYears, untilAge, toSuper }] — see lifeEventSchedule
+  contributionPlan = null, // optional { growth, wageLinked, bands: [{ fromAge, toAge, pct }] } — scales the member's contributions
+  feeSchedule = null, // optional { tiers, capAnnual, indexFixed, establishment, tradeCostAnnual, perfPct, perfHurdle } — on top of the % and fixed fees
+  returnAlpha = 0, // adviser value-add added to every year's gross return (tax, rebalancing, product access)
+  behaviourGap = 0, // return lost in each down year (DIY selling low); flat-return runs spread it over downYearShare of years
+  downYearShare = 0.25, // share of years assumed to fall when returns are flat (an input, not fitted to a return series)
+}) {
+  const months = Math.max(1, Math.round(horizonYears * 12));
+  const postNominal = (1 + postRealAnnualGross) * (1 + inflationAnnual) - 1;
+  const mInfl = Math.pow(1 + inflationAnnual, 1 / 12) - 1;
+  const mFix = Math.max(0, fixedFeeAnnual) / 12;
+  const toRet = Math.max(0, Math.round((retirementAge - currentAge) * 12));
+  const dly = Math.max(0, Math.round(delayYears * 12));
+  // Glide path: each year's gross return and product fee come from the growth/defensive mix at that age.
+  const glideYears = glidePath
+    ? Array.from({ length: Math.ceil(months / 12) }, (_, y) => {
+        const g = glideGrowthAt(glidePath.points, currentAge + y);
+        return {
+          gross: g * glidePath.growthReturn + (1 - g) * glidePath.defensiveReturn,
+          fee: g * nz(glidePath.growthFee, 0) + (1 - g) * nz(glidePath.defensiveFee, 0),
+        };
+      })
+    : null;
+  const flatGross = (y, pre) => (glideYears ? glideYears[y].gross : pre ? preAnnualGross : postNominal);
+  const productFee = (y) => (glideYears ? glideYears[y].fee : 0);
+  const toMonthly = (annual) => Math.pow(1 + Math.max(-0.99, annual), 1 / 12) - 1;
+
+  const sup = superAccount ? { ...SUPER_DEFAULTS, ...superAccount } : null;
+  const ap = agePension ? { couple: false, homeowner: true, otherAssets: 0, ...agePension, rates: { ...AGE_PENSION_DEFAULTS, ...agePension.rates } } : null;
+  // Couple: the partner's money pools into the portfolio and household spending steps down after the first death.
+  // All ages on the timeline are the primary member's; the partner's are offset by the age gap.
+  const pt = partner ? { survivorSpendPct: 0.7, ...partner } : null;
+  const ageGap = pt ? pt.currentAge - currentAge : 0;
+  const toRetPartner = pt ? Math.max(0, Math.round((pt.retirementAge - pt.currentAge) * 12)) : 0;
+  const partnerDeath = pt ? pt.lifeExpectancy - ageGap : null;
+  const firstDeath = pt ? Math.min(pt.primaryLifeExpectancy ?? Infinity, partnerDeath) : null;
+  const wd = { ...WITHDRAWAL_DEFAULTS, ...withdrawal };
+  const eventsAt = lifeEventSchedule(lifeEvents, currentAge, months);
+  // Contribution plan: yearly pay-rise escalation (on top of CPI when wage-linked) times the age band's share.
+  const cp = contributionPlan ? { growth: 0, wageLinked: false, bands: [], ...contributionPlan } : null;
+  const fs = feeSchedule ? { tiers: [], capAnnual: 0, indexFixed: false, establishment: 0, tradeCostAnnual: 0, perfPct: 0, perfHurdle: 0, ...feeSchedule } : null;
+
+  // Buckets: the scenario's own money ("portfolio"), plus optional cash and super accounts.
+  // A bucket with returnPa == null follows the scenario return; feePct is charged on top of the scenario fee.
+  const mkBucket = (id, label, kind, start, monthly, opts) => ({
+    id,
+    label,
+    kind,
+    bal: Math.max(0, nz(start, 0)),
+    monthly: Math.max(0, nz(monthly, 0)),
+    returnPa: opts?.returnPa ?? null,
+    feePct: Math.max(0, opts?.feePct ?? 0),
+    funded: false,
+    emptiedAge: null,
+    mGross: 0, // this year's monthly return before and after % fees
+    mNet: 0,
+  });
+  const buckets = [mkBucket("portfolio", "Portfolio", "portfolio", startAssets + nz(pt?.startAssets, 0), monthlySave, accounts?.portfolio)];
+  if (accounts?.cash) buckets.push(mkBucket("cash", "Cash / offset", "cash", accounts.cash.startBalance, accounts.cash.monthly, accounts.cash));
+  if (sup) buckets.push(mkBucket("super", "Super", "super", sup.startBalance, 0, sup));
+  const portfolio = buckets[0];
+  const superB = buckets.find((b) => b.kind === "super") || null;
+  const total = () => buckets.reduce((a, b) => a + b.bal, 0);
+
+  // Adviser alpha and the DIY behaviour gap adjust invested (non-cash) returns.
+  const varying = !!returnShocks;
+  const shift = (pre) => nz(returnShift?.[pre ? "pre" : "post"], 0);
+  const valueAdd = (g) => g + returnAlpha - (varying ? (g < 0 ? behaviourGap : 0) : behaviourGap * downYearShare);
+  // Annual gross return and total % fee (scenario + product + bucket) for year y.
+  const bucketAnnual = (b, y, pre) => {
+    const fee = (pre ? feeAnnualPre : feeAnnualPost) + b.feePct;
+    if (b.returnPa == null) return { gross: valueAdd(flatGross(y, pre) + nz(returnShocks?.[y], 0) + shift(pre)), fee: fee + productFee(y) };
+    if (b.kind === "cash") return { gross: b.returnPa, fee }; // cash keeps its fixed rate in stochastic runs
+    return { gross: valueAdd(b.returnPa + nz(returnShocks?.[y], 0) + shift(pre)), fee };
+  };
+
+  // Takes `amount` from the buckets in drawdown order (super only when allowed); returns what could not be met.
+  const withdraw = (amount, superOk) => {
+    const open = buckets.filter((b) => b.bal > 0 && (b.kind !== "super" || superOk));
+    if (drawdownOrder === "proRata") {
+      const avail = open.reduce((a, b) => a + b.bal, 0);
+      const take = Math.min(amount, avail);
+      open.forEach((b) => (b.bal = Math.max(0, b.bal - take * (b.bal / avail))));
+      return amount - take;
+    }
+    let left = amount;
+    (DRAWDOWN_SEQUENCE[drawdownOrder] || DRAWDOWN_SEQUENCE.nonSuperFirst).forEach((kind) =>
+      open
+        .filter((b) => b.kind === kind)
+        .forEach((b) => {
+          const x = Math.min(b.bal, left);
+          b.bal -= x;
+          left -= x;
+        })
+    );
+    return left;
+  };
+
+  const rows = [];
+  let dep = null;
+  let cpi = 1; // cumulative price index since today
+  // Super bookkeeping: caps are tracked per 12-month contribution year from today.
+  let ccYear = 0;
+  let nccYear = 0;
+  let ccAvail = 0;
+  let unusedCaps = [];
+  let contributionsTaxPaid = 0;
+  let earningsTaxPaid = 0;
+  let excessConcessional = 0;
+  let excessNonConcessional = 0;
+  let superMark = [0, 0, 0]; // super taxes and excess at the last row, for per-year amounts
+  let accessShortfall = null;
+  let pensionAnnual = 0; // reassessed at the start of each year
+  let pensionYear = 0;
+  let pensionPaid = 0;
+  let pensionStartAge = null;
+  // Spending rule state: this retirement year's spending, the guardrails' initial rate, and last year's earnings.
+  let yearSpend = 0;
+  let gkRate = null;
+  let yearEarnings = 0;
+  let cpiYearStart = 1;
+  let incomeYear = 0; // spending actually paid (pension included) since the last row
+  const eventLog = [];
+  let contribEscalation = 1;
+  let contributed = 0; // gross principal paid in (all members and accounts)
+  // Fee schedule: tiered fees charged this fee year (for the cap), the year's opening balance and earnings
+  // (for the performance fee), and what each kind of fee has cost in total.
+  let tieredYear = 0;
+  let perfOpen = 0;
+  let perfEarnings = 0;
+  const feeTotals = { tiered: 0, fixed: 0, brokerage: 0, performance: 0, establishment: 0 };
+  let feesCum = 0;
+  // Cashflow ledger per row: closing = opening + contributions + returns − pctFees − tax − fixedFees − withdrawals + events.
+  // Returns are before % fees; tax covers contributions, earnings and excess-contribution tax; withdrawals are
+  // spending drawn from the balance (negative when an Age Pension surplus is saved).
+  const ledgerOf = (opening) => ({ opening, contributions: 0, returns: 0, pctFees: 0, tax: 0, fixedFees: 0, withdrawals: 0, events: 0, closing: opening });
+  let led = ledgerOf(total());
+  const totals = ledgerOf(0);
+  let rateYear = null;
+  let ratePre = null;
+  const multi = buckets.length > 1;
+  const rowOf = (age) => {
+    const t = total();
+    const row = { age, nominal: t, real: t / cpi };
+    if (multi) buckets.forEach((b) => (row[`${b.id}Nominal`] = b.bal));
+    if (superB) {
+      row.nonSuperNominal = t - superB.bal;
+      const excess = excessConcessional + excessNonConcessional;
+      row.superTax = { contributions: contributionsTaxPaid - superMark[0], earnings: earningsTaxPaid - superMark[1], excess: excess - superMark[2] };
+      superMark = [contributionsTaxPaid, earningsTaxPaid, excess];
+    }
+    if (ap) row.pension = pensionYear;
+    if (pt) row.partnerAge = age + ageGap;
+    row.income = incomeYear;
+    row.incomeReal = incomeYear / cpi;
+    if (eventsAt) row.events = led.events;
+    row.ledger = { ...led, closing: t };
+    row.feesCum = feesCum + led.pctFees + led.fixedFees;
+    return row;
+  };
+  rows.push(rowOf(Math.floor(currentAge)));
+
+  for (let m = 1; m <= months; m++) {
+    const age = currentAge + m / 12;
+    const pre = m <= toRet;
+    const y = Math.floor((m - 1) / 12);
+    if (y !== rateYear || pre !== ratePre) {
+      rateYear = y;
+      ratePre = pre;
+      buckets.forEach((b) => {
+        const { gross, fee } = bucketAnnual(b, y, pre);
+        b.mGross = toMonthly(gross);
+        b.mNet = toMonthly(gross - fee);
+      });
+    }
+    cpi *= 1 + mInfl;
+    const contributing = pre && m > dly;
+    const msr = Math.max(0, m - toRet);
+    const survivor = pt && age > firstDeath;
+    const survivorFactor = survivor ? pt.survivorSpendPct : 1;
+    const target = (annualSpendToday / 12) * cpi * survivorFactor; // today's dollars, indexed from today
+    if (msr > 0 && (msr - 1) % 12 === 0) {
+      const open = total();
+      if (wd.strategy === "fixedPct") yearSpend = wd.pct * open;
+      else if (wd.strategy === "floorCeiling") yearSpend = clamp(wd.pct * open, wd.floorPct * target * 12, wd.ceilingPct * target * 12);
+      else if (wd.strategy === "atoMinimum") yearSpend = atoMinimumRate(age) * open;
+      else if (wd.strategy === "guytonKlinger") {
+        if (gkRate == null) {
+          yearSpend = annualSpendToday * cpi;
+          gkRate = open > 0 ? yearSpend / open : Infinity;
+        } else {
+          // Inflation rule: skip the increase after a losing year while the rate is above where it started.
+          if (!(yearEarnings < 0 && yearSpend / open > gkRate)) yearSpend *= cpi / cpiYearStart;
+          const rate = open > 0 ? yearSpend / open : Infinity;
+          if (rate > gkRate * (1 + wd.guardrail)) yearSpend *= 1 - wd.adjust;
+          else if (rate < gkRate * (1 - wd.guardrail)) yearSpend *= 1 + wd.adjust;
+        }
+      }
+      cpiYearStart = cpi;
+      yearEarnings = 0;
+    }
+    let spend = 0;
+    if (msr > 0) {
+      if (wd.strategy === "constant") spend = target;
+      else if (wd.strategy === "guytonKlinger") spend = (yearSpend / 12) * survivorFactor;
+      else spend = yearSpend / 12;
+    }
+    // Super is preserved (no spending, earnings taxed) until preservation age.
+    const accessible = !sup || age >= sup.preservationAge;
+
+    // Age Pension reduces what the portfolio has to fund; any surplus is saved.
+    if (ap && (m - 1) % 12 === 0) {
+      const eligible = msr > 0 && age >= ap.rates.pensionAge;
+      pensionAnnual = eligible
+        ? agePensionAnnual({ assets: total() + ap.otherAssets * cpi, couple: pt ? !survivor : ap.couple, homeowner: ap.homeowner, rates: ap.rates, index: cpi })
+        : 0;
+      if (pensionAnnual > 0 && pensionStartAge == null) pensionStartAge = Math.floor(age);
+      pensionYear = 0;
+    }
+    const pension = ap ? pensionAnnual / 12 : 0;
+    pensionPaid += pension;
+    pensionYear += pension;
+    const sp = spend - pension;
+
+    if (superB && (m - 1) % 12 === 0) {
+      ccYear = 0;
+      nccYear = 0;
+      const carry = superB.bal < sup.carryForwardBalanceLimit ? unusedCaps.reduce((a, b) => a + b, 0) : 0;
+      ccAvail = sup.concessionalCap + carry;
+    }
+
+    if (fs && (m - 1) % 12 === 0) {
+      tieredYear = 0;
+      perfOpen = total();
+      perfEarnings = 0;
+    }
+
+    // Growth; super earnings are taxed until the member is both retired and past preservation age.
+    buckets.forEach((b) => {
+      const earnings = b.bal * b.mNet;
+      const tax = b.kind === "super" && earnings > 0 && (pre || !accessible) ? earnings * sup.earningsTax : 0;
+      const pctFee = b.bal * (b.mGross - b.mNet);
+      led.returns += earnings + pctFee;
+      led.pctFees += pctFee;
+      led.tax += tax;
+      earningsTaxPaid += tax;
+      yearEarnings += earnings - tax;
+      perfEarnings += earnings;
+      b.bal += earnings - tax;
+    });
+
+    if (cp && (m - 1) % 12 === 0) contribEscalation = (cp.wageLinked ? cpi : 1) * Math.pow(1 + cp.growth, y);
+    const band = cp?.bands.find((b) => age - 1 / 12 >= b.fromAge && age - 1 / 12 < b.toAge);
+    const contribScale = cp ? contribEscalation * (band ? Math.max(0, band.pct) : 1) : 1;
+
+    if (contributing) {
+      buckets.forEach((b) => {
+        if (b.kind !== "super") {
+          b.bal += b.monthly * contribScale;
+          contributed += b.monthly * contribScale;
+          led.contributions += b.monthly * contribScale;
+        }
+      });
+      if (superB) {
+        const ccPlan = (Math.max(0, sup.concessionalAnnual) / 12) * contribScale;
+        contributed += ccPlan;
+        led.contributions += ccPlan;
+        const cc = Math.min(ccPlan, Math.max(0, ccAvail - ccYear));
+        ccYear += cc;
+        contributionsTaxPaid += cc * sup.contributionsTax;
+        led.tax += cc * sup.contributionsTax + (ccPlan - cc) * sup.marginalTax;
+        superB.bal += cc * (1 - sup.contributionsTax);
+        excessConcessional += ccPlan - cc;
+        portfolio.bal += (ccPlan - cc) * (1 - sup.marginalTax);
+
+        const nccPlan = (Math.max(0, sup.nonConcessionalAnnual) / 12) * contribScale;
+        contributed += nccPlan;
+        led.contributions += nccPlan;
+        const ncc = Math.min(nccPlan, Math.max(0, sup.nonConcessionalCap - nccYear));
+        nccYear += ncc;
+        superB.bal += ncc;
+        excessNonConcessional += nccPlan - ncc;
+        portfolio.bal += nccPlan - ncc;
+      }
+    }
+
+    if (pt && m > dly && m <= toRetPartner && age < partnerDeath) {
+      portfolio.bal += Math.max(0, pt.monthlySave);
+      contributed += Math.max(0, pt.monthlySave);
+      led.contributions += Math.max(0, pt.monthlySave);
+    }
+
+    // Life events land in the month they fall due; real amounts are indexed to that month.
+    (eventsAt?.get(m) || []).forEach((ev) => {
+      const amount = ev.real ? ev.amount * cpi : ev.amount;
+      let shortfall = 0;
+      if (amount >= 0) (ev.toSuper && superB ? superB : portfolio).bal += amount;
+      else shortfall = withdraw(-amount, accessible);
+      led.events += amount + shortfall;
+      eventLog.push({ label: ev.label, age, amount, shortfall });
+    });
+
+    // Fixed fees can come from any account; spending only from accessible ones.
+    buckets.forEach((b) => (b.funded = b.funded || b.bal > 0));
+    const charge = (amount) => amount - withdraw(amount, true); // what was actually paid
+    if (fs) {
+      const tiered = Math.min(tieredFeeAnnual(total(), fs.tiers) / 12, fs.capAnnual > 0 ? Math.max(0, fs.capAnnual - tieredYear) : Infinity);
+      tieredYear += tiered;
+      const paid = charge(tiered);
+      feeTotals.tiered += paid;
+      led.pctFees += paid;
+      if (m % 12 === 0 && fs.perfPct > 0) {
+        const perf = charge(fs.perfPct * Math.max(0, perfEarnings - fs.perfHurdle * perfOpen)); // no high-water mark
+        feeTotals.performance += perf;
+        led.pctFees += perf;
+      }
+      const once = m === 1 ? charge(fs.establishment) : 0;
+      const trades = charge(fs.tradeCostAnnual / 12);
+      feeTotals.establishment += once;
+      feeTotals.brokerage += trades;
+      led.fixedFees += once + trades;
+    }
+    const fixed = charge(fs?.indexFixed ? mFix * cpi : mFix);
+    feeTotals.fixed += fixed;
+    led.fixedFees += fixed;
+    let unmet = 0;
+    if (sp >= 0) {
+      unmet = withdraw(sp, accessible);
+      if (unmet > 0 && spend > 0 && !accessible && superB.bal > 0 && !accessShortfall) accessShortfall = age;
+    } else {
+      portfolio.bal -= sp;
+    }
+    led.withdrawals += sp - unmet;
+    incomeYear += spend - unmet;
+    buckets.forEach((b) => {
+      if (b.funded && b.bal <= 0.005 && b.emptiedAge == null) b.emptiedAge = age;
+    });
+    if (total() <= 0 && !dep) dep = age;
+
+    if (superB && m % 12 === 0) {
+      // Roll carry-forward: cap used above the standard cap consumes the oldest unused amounts first.
+      let over = Math.max(0, ccYear - sup.concessionalCap);
+      unusedCaps = unusedCaps.map((u) => {
+        const used = Math.min(u, over);
+        over -= used;
+        return u - used;
+      });
+      unusedCaps.push(Math.max(0, sup.concessionalCap - ccYear));
+      unusedCaps = unusedCaps.slice(-sup.carryForwardYears);
+    }
+
+    if (m % 12 === 0) {
+      rows.push(rowOf(Math.floor(age)));
+      feesCum += led.pctFees + led.fixedFees;
+      Object.keys(totals).forEach((k) => (totals[k] += led[k]));
+      led = ledgerOf(total());
+      incomeYear = 0;
+    }
+  }
+
+  if (months % 12) Object.keys(totals).forEach((k) => (totals[k] += led[k])); // trailing part-year
+
+  const end = total();
+  return {
+    rows,
+    endNom: end,
+    endReal: rows[rows.length - 1]?.real ?? end,
+    depletedAge: dep ? Math.floor(dep) : null,
+    depletedAgeExact: dep,
+    contributed,
+    totals: { ...totals, opening: rows[0].nominal, closing: end },
+    super: sup
+      ? {
+          contributionsTaxPaid,
+          earningsTaxPaid,
+          excessConcessional,
+          excessNonConcessional,
+          accessShortfallAge: accessShortfall ? Math.floor(accessShortfall) : null,
+        }
+      : null,
+    agePension: ap ? { totalPaid: pensionPaid, startAge: pensionStartAge } : null,
+    household: pt ? { firstDeathAge: firstDeath, partnerDeathAge: partnerDeath } : null,
+    buckets: multi
+      ? buckets.map((b) => ({ id: b.id, label: b.label, kind: b.kind, endNom: b.bal, emptiedAge: b.emptiedAge == null ? null : Math.floor(b.emptiedAge) }))
+      : null,
+    lifeEvents: eventsAt ? eventLog : null,
+    fees: fs ? feeTotals : null,
+  };
+}
+
+// ============== Monte Carlo (stochastic returns) =================
+// Runs `trials` paths of simulate() with normally distributed annual return shocks
+// (sd = volatility) and returns 10th/50th/90th percentile nominal balances per age.
+export function monteCarlo(params, { trials = 1000, volatility = 0.12, seed = 1, lifeExpectancy } = {}) {
+  const n = Math.max(1, Math.round(trials));
+  const years = Math.ceil(params.horizonYears);
+  const rng = mulberry32(seed);
+  const paths = [];
+  let lasts = 0;
+  for (let t = 0; t < n; t++) {
+    const returnShocks = Array.from({ length: years }, () => randn(rng) * volatility);
+    const res = simulate({ ...params, returnShocks });
+    paths.push(res.rows);
+    if (res.depletedAgeExact == null || res.depletedAgeExact >= lifeExpectancy) lasts++;
+  }
+  const rows = paths[0].map((r, i) => {
+    const vals = paths.map((p) => p[i].nominal).sort((a, b) => a - b);
+    return { age: r.age, p10: quantile(vals, 0.1), p50: quantile(vals, 0.5), p90: quantile(vals, 0.9) };
+  });
+  return { rows, successRate: lasts / n, trials: n };
+}
+
+// ============== Goal solver (goal seek) =================
+// Each unknown: its label, where it lands in simulate() params, and the unit answers are rounded up to.
+export const GOAL_UNKNOWNS = {
+  monthlySave: { label: "Monthly savings", apply: (p, x) => ({ ...p, monthlySave: x }), unit: 10 },
+  retirementAge: { label: "Earliest retirement age", apply: (p, x) => ({ ...p, retirementAge: x }), unit: 1 },
+  returnPa: { label: "Required return (% p.a.)", apply: (p, x) => ({ ...p, preAnnualGross: x / 100 }), unit: 0.1 },
+  initialAmount: { label: "Starting balance", apply: (p, x) => ({ ...p, startAssets: x }), unit: 1000 },
+};
+
+/**
+ * Bisection on a monotone test.
+ * - rising (ok turns true as x grows): smallest ok x in [lo, max], or null if even max fails.
+ * - falling (ok turns false as x grows): largest ok x, or null if lo already fails.
+ * `hi` is a first guess that doubles (up to max) until it brackets the answer.
+ */
+export function goalSeek(ok, { lo = 0, max, hi = max, rising = true, iters = 34 }) {
+  const past = rising ? ok : (x) => !ok(x); // false below the answer, true above it
+  if (past(lo)) return rising ? lo : null;
+  while (!past(hi) && hi < max) hi = Math.min(max, hi * 2);
+  if (!past(hi)) return rising ? null : hi;
+  for (let i = 0; i < iters; i++) {
+    const m = (lo + hi) / 2;
+    if (past(m)) hi = m;
+    else lo = m;
+  }
+  return rising ? hi : lo;
+}
+
+// Spend goals must last to the plan end; bequests are today's dollars left at the end (and never run dry).
+export function meetsGoal(res, goal, planEndAge) {
+  if (res.super?.accessShortfallAge != null) return false;
+  if (goal.target === "bequest") return res.depletedAgeExact == null && res.endReal >= goal.bequest;
+  return (res.depletedAgeExact ?? Infinity) >= planEndAge - 0.1;
+}
+
+/**
+ * Solve one GOAL_UNKNOWNS input within [min, max] so the `base` simulate() params meet the goal.
+ * Spend goals swap in a constant, inflation-indexed spend; bequest goals keep the plan's own spending.
+ * Returns the answer rounded up to the unknown's unit, or null when it is out of reach.
+ */
+export function solveGoal(base, goal, unknown, [min, max], planEndAge) {
+  const u = GOAL_UNKNOWNS[unknown];
+  const params = goal.target === "spend" ? { ...base, annualSpendToday: goal.spend, withdrawal: undefined } : base;
+  const x = goalSeek((v) => meetsGoal(simulate(u.apply(params, v)), goal, planEndAge), { lo: min, max });
+  if (x == null) return null;
+  return +Math.min(max, Math.ceil(x / u.unit - 1e-9) * u.unit).toFixed(4);
+}
+
+// Highest constant, inflation-indexed spend (today $) that lasts to planEndAge.
+export function sustainableSpend(params, planEndAge) {
+  const lasts = (spend) => meetsGoal(simulate({ ...params, annualSpendToday: spend, withdrawal: undefined }), { target: "spend" }, planEndAge);
+  return Math.round(goalSeek(lasts, { hi: 100000, max: 5e7, rising: false }) ?? 0);
+}
+
+// ============== Outcome metrics (sensitivity & heatmap) =================
+export const OUTCOME_METRICS = { balanceAtRet: "Balance at retirement (today $)", depletionAge: "Depletion age", sustainableSpend: "Sustainable spend (today $)" };
+
+// Depletion age is capped at planEndAge (a plan that never runs out scores planEndAge). Higher is better for every metric.
+export function measureOutcome(p, planEndAge, metrics = Object.keys(OUTCOME_METRICS)) {
+  const out = {};
+  if (metrics.includes("balanceAtRet") || metrics.includes("depletionAge")) {
+    const res = simulate(p);
+    const atRet = res.rows.find((r) => r.age >= p.retirementAge) || res.rows[res.rows.length - 1];
+    out.balanceAtRet = atRet.real;
+    out.depletionAge = Math.min(planEndAge, res.depletedAgeExact ?? planEndAge);
+  }
+  if (metrics.includes("sustainableSpend")) out.sustainableSpend = sustainableSpend(p, planEndAge);
+  return out;
+}
+
+// ============== Sensitivity (tornado) =================
+// Each input is shifted by the setting for its kind: rate (± % points), amount (± %) or years (± years).
+// Returns move through returnShift, so a glide path or an account's own return moves with them too.
+const shiftReturn = (p, phase, d) => ({ ...p, returnShift: { ...p.returnShift, [phase]: nz(p.returnShift?.[phase], 0) + d } });
+export const SENSITIVITY_INPUTS = {
+  returnPa: { label: "Return (pre-retirement)", kind: "rate", apply: (p, d) => shiftReturn(p, "pre", d / 100) },
+  // A real-return shift is worth (1 + inflation) times as much in nominal terms.
+  postRetRealPa: { label: "Retirement return", kind: "rate", apply: (p, d) => shiftReturn(p, "post", (d / 100) * (1 + p.inflationAnnual)) },
+  inflationPa: { label: "Inflation", kind: "rate", apply: (p, d) => ({ ...p, inflationAnnual: Math.max(0, p.inflationAnnual + d / 100) }) },
+  monthlySave: { label: "Savings", kind: "amount", apply: (p, d) => ({ ...p, monthlySave: Math.max(0, p.monthlySave * (1 + d / 100)) }) },
+  annualSpendToday: { label: "Spending", kind: "amount", apply: (p, d) => ({ ...p, annualSpendToday: Math.max(0, p.annualSpendToday * (1 + d / 100)) }) },
+  // A fee schedule replaces the flat % fee, so its tiers move too.
+  fees: {
+    label: "Fees",
+    kind: "rate",
+    apply: (p, d) => ({
+      ...p,
+      feeAnnualPre: Math.max(0, p.feeAnnualPre + d / 100),
+      feeAnnualPost: Math.max(0, p.feeAnnualPost + d / 100),
+      feeSchedule: p.feeSchedule && { ...p.feeSchedule, tiers: (p.feeSchedule.tiers || []).map((t) => ({ ...t, pct: Math.max(0, t.pct + d / 100) })) },
+    }),
+  },
+  retirementAge: { label: "Retirement age", kind: "years", apply: (p, d, end) => ({ ...p, retirementAge: clamp(p.retirementAge + d, p.currentAge + 1, end - 1) }) },
+  delayYears: { label: "Start delay", kind: "years", apply: (p, d) => ({ ...p, delayYears: Math.max(0, p.delayYears + d) }) },
+};
+
+/**
+ * Rerun simulate() with each input lowered and raised by its shift.
+ * Returns { base, rows: [{ key, label, kind, shift, low, high }] }; base, low and high each hold every metric.
+ */
+export function sensitivity(params, shifts, planEndAge) {
+  const measure = (p) => measureOutcome(p, planEndAge);
+  const rows = Object.entries(SENSITIVITY_INPUTS).map(([key, { label, kind, apply }]) => {
+    const shift = shifts[kind];
+    return { key, label, kind, shift, low: measure(apply(params, -shift, planEndAge)), high: measure(apply(params, shift, planEndAge)) };
+  });
+  return { base: measure(params), rows };
+}
+
+// ============== Heatmap (two inputs × one metric) =================
+// Whether simulate() reads the flat pre/post returns: a glide path replaces them, and so does the portfolio's own return.
+export const flatReturnsApply = (p) => !p.glidePath && p.accounts?.portfolio?.returnPa == null;
+
+// Absolute values on a grid centred on the current input, `step` apart and clamped to the input's limits.
+// flatReturn inputs only set the flat returns, so they can't be an axis unless flatReturnsApply().
+export const HEATMAP_INPUTS = {
+  returnPa: { label: "Return (% p.a.)", step: 1, flatReturn: true, limits: () => [0, 20], apply: (p, v) => ({ ...p, preAnnualGross: v / 100 }) },
+  postRetRealPa: { label: "Retirement return (% p.a.)", step: 1, flatReturn: true, limits: () => [-5, 15], apply: (p, v) => ({ ...p, postRealAnnualGross: v / 100 }) },
+  inflationPa: { label: "Inflation (% p.a.)", step: 0.5, limits: () => [0, 10], apply: (p, v) => ({ ...p, inflationAnnual: v / 100 }) },
+  monthlySave: { label: "Monthly savings", step: 250, money: true, limits: () => [0, 25_000], apply: (p, v) => ({ ...p, monthlySave: v }) },
+  annualSpendToday: { label: "Annual spend", step: 5000, money: true, limits: () => [0, 1_300_000], apply: (p, v) => ({ ...p, annualSpendToday: v }) },
+  initialAmount: { label: "Starting balance", step: 50000, money: true, limits: () => [0, 5_000_000], apply: (p, v) => ({ ...p, startAssets: v }) },
+  retirementAge: { label: "Retirement age", step: 1, limits: (p, end) => [p.currentAge + 1, end - 1], apply: (p, v) => ({ ...p, retirementAge: v }) },
+  diyFeePct: { label: "Fee (% p.a.)", step: 0.25, limits: () => [0, 2], apply: (p, v) => ({ ...p, feeAnnualPre: v / 100, feeAnnualPost: v / 100 }) },
+  delayYears: { label: "Start delay (years)", step: 1, limits: () => [0, 15], apply: (p, v) => ({ ...p, delayYears: v }) },
+};
+
+export function heatmapAxis(key, current, size, params, planEndAge) {
+  const { step, limits } = HEATMAP_INPUTS[key];
+  const [lo, hi] = limits(params, planEndAge);
+  const half = Math.floor(size / 2);
+  return [...new Set(Array.from({ length: size }, (_, i) => clamp(+(current + (i - half) * step).toFixed(4), lo, hi)))];
+}
+
+/**
+ * Grid of one outcome metric over two inputs; `current` holds today's value of each input key.
+ * Returns { xs, ys, cells } with cells[yi][xi].
+ */
+export function heatmap(params, { x, y, metric, size }, current, planEndAge) {
+  const xs = heatmapAxis(x, current[x], size, params, planEndAge);
+  const ys = heatmapAxis(y, current[y], size, params, planEndAge);
+  const cells = ys.map((yv) => xs.map((xv) => measureOutcome(HEATMAP_INPUTS[x].apply(HEATMAP_INPUTS[y].apply(params, yv), xv), planEndAge, [metric])[metric]));
+  return { xs, ys, cells };
+}
+
+// ============== Engine requests (the app ↔ worker contract) =================
+/**
+ * A request lists everything the app draws; every job but `runs` is optional (null skips it):
+ *   runs:        { [name]: simulate() params }                → { [name]: simulate() result }
+ *   sustainable: { params, planEndAge }                       → sustainableSpend()
+ *   mc:          { params, options }                          → monteCarlo()
+ *   sens:        { params, shifts, planEndAge }               → sensitivity()
+ *   heat:        { params, settings, current, planEndAge }    → heatmap()
+ *   goal:        { params, goal, unknown, range, planEndAge } → solveGoal()
+ *   breakEven:   { diy, adviser, metric, planEndAge }         → breakEvenAlpha()
+ * The result has the same keys. Both sides are plain data, so they cross postMessage unchanged.
+ */
+const ENGINE_JOBS = {
+  sustainable: (j) => sustainableSpend(j.params, j.planEndAge),
+  mc: (j) => monteCarlo(j.params, j.options),
+  sens: (j) => sensitivity(j.params, j.shifts, j.planEndAge),
+  heat: (j) => heatmap(j.params, j.settings, j.current, j.planEndAge),
+  goal: (j) => solveGoal(j.params, j.goal, j.unknown, j.range, j.planEndAge),
+  breakEven: (j) => breakEvenAlpha(j.diy, j.adviser, j.metric, j.planEndAge),
+};
+
+// Returns run(request) → result. Answers are kept for the previous request's jobs, so moving one
+// slider only recomputes the jobs whose inputs changed (and identical runs are computed once).
+export function createEngine() {
+  let cache = new Map(); // JSON of a job's input → its answer
+  return (request) => {
+    const next = new Map();
+    const solve = (kind, input, compute) => {
+      if (input == null) return null;
+      const key = `${kind}:${JSON.stringify(input)}`;
+      if (!next.has(key)) next.set(key, cache.has(key) ? cache.get(key) : compute(input));
+      return next.get(key);
+    };
+    const result = {
+      runs: Object.fromEntries(Object.entries(request.runs || {}).map(([name, params]) => [name, solve("run", params, simulate)])),
+      ...Object.fromEntries(Object.entries(ENGINE_JOBS).map(([name, compute]) => [name, solve(name, request[name], compute)])),
+    };
+    cache = next;
+    return result;
+  };
+}
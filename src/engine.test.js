@@ -0,0 +1,351 @@
+import { assert, test } from "vitest";
+import {
+  AGE_PENSION_DEFAULTS,
+  HEATMAP_INPUTS,
+  SENSITIVITY_INPUTS,
+  agePensionAnnual,
+  atoMinimumRate,
+  breakEvenAlpha,
+  createEngine,
+  flatReturnsApply,
+  glideGrowthAt,
+  goalSeek,
+  heatmap,
+  heatmapAxis,
+  lifeEventOccurrences,
+  measureOutcome,
+  meetsGoal,
+  monteCarlo,
+  sensitivity,
+  simulate,
+  solveGoal,
+  sustainableSpend,
+} from "./engine";
+
+const mcParams = {
+  currentAge: 40,
+  retirementAge: 60,
+  horizonYears: 50,
+  startAssets: 200000,
+  monthlySave: 1500,
+  preAnnualGross: 0.08,
+  postRealAnnualGross: 0.025,
+  inflationAnnual: 0.02,
+  annualSpendToday: 60000,
+  delayYears: 0,
+  feeAnnualPre: 0.002,
+  feeAnnualPost: 0.002,
+  fixedFeeAnnual: 0,
+};
+const flatParams = { ...mcParams, postRealAnnualGross: 1.08 / 1.02 - 1 };
+const superBase = {
+  currentAge: 40,
+  retirementAge: 60,
+  horizonYears: 1,
+  startAssets: 0,
+  monthlySave: 0,
+  preAnnualGross: 0,
+  postRealAnnualGross: 0,
+  inflationAnnual: 0,
+  annualSpendToday: 0,
+  delayYears: 0,
+};
+const evBase = { ...superBase, horizonYears: 10, startAssets: 100000 };
+const balances = (res) =>
+  res.rows.slice(1).every(({ ledger: l }) => {
+    const flows = l.opening + l.contributions + l.returns - l.pctFees - l.tax - l.fixedFees - l.withdrawals + l.events;
+    return Math.abs(flows - l.closing) < 1e-6 * Math.max(1, l.closing);
+  });
+const sensBase = { ...superBase, horizonYears: 50, startAssets: 300000, monthlySave: 1000, preAnnualGross: 0.07, postRealAnnualGross: 0.04, inflationAnnual: 0.025, annualSpendToday: 50000, feeAnnualPre: 0.01, feeAnnualPost: 0.01 };
+
+test("simulate() responds to delay, fees, spending and inflation", () => {
+  const base = simulate({
+    currentAge: 40,
+    retirementAge: 60,
+    horizonYears: 50,
+    startAssets: 200000,
+    monthlySave: 1500,
+    preAnnualGross: 0.08,
+    postRealAnnualGross: 0.025,
+    inflationAnnual: 0.0,
+    annualSpendToday: 0,
+    delayYears: 0,
+    feeAnnualPre: 0.002,
+    feeAnnualPost: 0.002,
+    fixedFeeAnnual: 0,
+  });
+  assert(base.rows.length > 0, "simulate should return rows");
+  assert(typeof base.endNom === "number", "endNom should be number");
+
+  const delayed = simulate({
+    currentAge: 40,
+    retirementAge: 60,
+    horizonYears: 50,
+    startAssets: 200000,
+    monthlySave: 1500,
+    preAnnualGross: 0.08,
+    postRealAnnualGross: 0.025,
+    inflationAnnual: 0.0,
+    annualSpendToday: 0,
+    delayYears: 3,
+    feeAnnualPre: 0.002,
+    feeAnnualPost: 0.002,
+    fixedFeeAnnual: 0,
+  });
+  assert(base.endNom >= delayed.endNom, "Delaying contributions should not increase end balance in this setup");
+
+  const higherFees = simulate({
+    currentAge: 40,
+    retirementAge: 60,
+    horizonYears: 50,
+    startAssets: 200000,
+    monthlySave: 1500,
+    preAnnualGross: 0.08,
+    postRealAnnualGross: 0.025,
+    inflationAnnual: 0.0,
+    annualSpendToday: 0,
+    delayYears: 0,
+    feeAnnualPre: 0.02,
+    feeAnnualPost: 0.02,
+    fixedFeeAnnual: 0,
+  });
+  assert(base.endNom > higherFees.endNom, "Higher fees should reduce end balance");
+
+  const withSpend = simulate({
+    currentAge: 40,
+    retirementAge: 60,
+    horizonYears: 50,
+    startAssets: 200000,
+    monthlySave: 1500,
+    preAnnualGross: 0.08,
+    postRealAnnualGross: 0.025,
+    inflationAnnual: 0.02,
+    annualSpendToday: 60000,
+    delayYears: 0,
+    feeAnnualPre: 0.002,
+    feeAnnualPost: 0.002,
+    fixedFeeAnnual: 0,
+  });
+  assert(withSpend.endNom <= base.endNom, "Adding drawdown spend should not increase ending balance");
+  assert(withSpend.endReal <= withSpend.endNom, "With inflation > 0, real end balance should be <= nominal end balance");
+
+  const zeroInfl = simulate({
+    currentAge: 40,
+    retirementAge: 60,
+    horizonYears: 50,
+    startAssets: 200000,
+    monthlySave: 1500,
+    preAnnualGross: 0.08,
+    postRealAnnualGross: 0.025,
+    inflationAnnual: 0.0,
+    annualSpendToday: 0,
+    delayYears: 0,
+    feeAnnualPre: 0.0,
+    feeAnnualPost: 0.0,
+    fixedFeeAnnual: 0,
+  });
+  assert(Math.abs(zeroInfl.endReal - zeroInfl.endNom) < 1e-6, "With 0% inflation, real ~= nominal at end");
+});
+
+test("monteCarlo() is seeded and ordered", () => {
+  const mc1 = monteCarlo(mcParams, { trials: 200, volatility: 0.12, seed: 7, lifeExpectancy: 90 });
+  const mc2 = monteCarlo(mcParams, { trials: 200, volatility: 0.12, seed: 7, lifeExpectancy: 90 });
+  assert(mc1.rows.every((r, i) => r.p50 === mc2.rows[i].p50), "Monte Carlo should be reproducible for a fixed seed");
+  assert(mc1.rows.every((r) => r.p10 <= r.p50 && r.p50 <= r.p90), "Percentiles should be ordered p10 <= p50 <= p90");
+  const mcFlat = monteCarlo(mcParams, { trials: 100, volatility: 0, seed: 7, lifeExpectancy: 90 });
+  const det = simulate(mcParams);
+  assert(Math.abs(mcFlat.rows[mcFlat.rows.length - 1].p50 - det.endNom) < 1e-6, "Zero volatility Monte Carlo should match the deterministic path");
+  assert(mcFlat.successRate === (det.depletedAgeExact == null ? 1 : 0), "Zero volatility success rate should match deterministic depletion");
+});
+
+test("super contributions, tax and preservation", () => {
+  const capped = simulate({ ...superBase, superAccount: { concessionalAnnual: 50000 } });
+  assert(Math.abs(capped.super.contributionsTaxPaid - 4500) < 1e-6, "Concessional contributions should be taxed at 15% up to the cap");
+  assert(Math.abs(capped.rows[1].superNominal - 25500) < 1e-6, "Only capped, after-tax concessional contributions should reach super");
+  assert(Math.abs(capped.super.excessConcessional - 20000) < 1e-6, "Contributions above the concessional cap should be reported as excess");
+  const locked = simulate({ ...superBase, retirementAge: 50, horizonYears: 20, annualSpendToday: 40000, superAccount: { startBalance: 2e6 } });
+  assert(locked.super.accessShortfallAge === 50, "Spending before preservation age cannot be funded from super");
+  assert(!locked.depletedAge, "Total balance should not be treated as depleted while super remains");
+  const superRun = simulate({ ...superBase, horizonYears: 5, preAnnualGross: 0.07, superAccount: { startBalance: 100000, concessionalAnnual: 40000 } });
+  const superTaxSum = superRun.rows.reduce((a, r) => a + r.superTax.contributions + r.superTax.earnings, 0);
+  assert(Math.abs(superTaxSum - superRun.super.contributionsTaxPaid - superRun.super.earningsTaxPaid) < 1e-6, "Yearly super tax rows should add up to the run totals");
+});
+
+test("Age Pension", () => {
+  assert(agePensionAnnual({ assets: 0 }) === AGE_PENSION_DEFAULTS.maxRate.single, "No assets should receive the full pension");
+  assert(agePensionAnnual({ assets: 1e7 }) === 0, "Large assets should receive no pension");
+  assert(Math.abs(agePensionAnnual({ assets: 414000 }) - 21954) < 1e-6, "Assets test should taper $78 p.a. per $1,000 over the threshold");
+  const withPension = simulate({ ...mcParams, agePension: {} });
+  assert(withPension.endNom >= simulate(mcParams).endNom && withPension.agePension.totalPaid >= 0, "Age Pension should never reduce the balance");
+});
+
+test("accounts and drawdown order", () => {
+  const withCash = { ...mcParams, accounts: { cash: { startBalance: 100000, monthly: 0, returnPa: 0.04 } } };
+  const cashFirst = simulate({ ...withCash, drawdownOrder: "cashFirst" });
+  const nonSuperFirst = simulate({ ...withCash, drawdownOrder: "nonSuperFirst" });
+  const cashAge = (res) => res.buckets.find((b) => b.id === "cash").emptiedAge ?? Infinity;
+  assert(cashAge(cashFirst) < cashAge(nonSuperFirst), "Cash-first drawdown should empty the cash bucket earlier");
+  const r0 = cashFirst.rows[0];
+  assert(Math.abs(r0.nominal - r0.portfolioNominal - r0.cashNominal) < 1e-6, "Bucket balances should add up to the total");
+});
+
+test("couple households", () => {
+  const couple = (survivorSpendPct) =>
+    simulate({
+      ...mcParams,
+      partner: { currentAge: 38, retirementAge: 62, lifeExpectancy: 75, startAssets: 100000, monthlySave: 1000, survivorSpendPct, primaryLifeExpectancy: 90 },
+    });
+  assert(couple(1).rows[0].nominal === mcParams.startAssets + 100000, "Partner balance should pool into the household");
+  assert(couple(0.6).endNom > couple(1).endNom, "Spending should step down after the first death");
+  assert(couple(1).household.firstDeathAge === 77, "First death should be expressed in the primary member's age");
+});
+
+test("glide path", () => {
+  const gp = [{ age: 40, growth: 0.9 }, { age: 70, growth: 0.5 }];
+  assert(Math.abs(glideGrowthAt(gp, 55) - 0.7) < 1e-9, "Glide path should interpolate linearly between points");
+  assert(glideGrowthAt(gp, 30) === 0.9 && glideGrowthAt(gp, 90) === 0.5, "Glide path should hold flat beyond its ends");
+  const allGrowth = simulate({ ...flatParams, glidePath: { points: [{ age: 0, growth: 1 }], growthReturn: 0.08, defensiveReturn: 0.02 } });
+  assert(Math.abs(allGrowth.endNom - simulate(flatParams).endNom) < 1e-3, "A 100% growth glide path should match the flat-rate path at the growth return");
+});
+
+test("withdrawal strategies", () => {
+  const retiree = { ...superBase, currentAge: 60, horizonYears: 3, startAssets: 100000, annualSpendToday: 10000 };
+  const income = (withdrawal) => simulate({ ...retiree, withdrawal }).rows.map((r) => Math.round(r.income));
+  assert(income(null).join() === "0,10000,10000,10000", "Constant dollar should pay the target every year");
+  assert(simulate({ ...mcParams, withdrawal: { strategy: "constant" } }).endNom === simulate(mcParams).endNom, "Explicit constant dollar should match the default");
+  assert(income({ strategy: "fixedPct", pct: 0.04 }).join() === "0,4000,3840,3686", "Fixed % should respend a share of each opening balance");
+  assert(income({ strategy: "guytonKlinger" })[3] === 9000, "Guardrails should cut spending once the withdrawal rate breaches the upper rail");
+  assert(income({ strategy: "floorCeiling", pct: 0.2 })[1] === 11500, "Floor & ceiling should cap spending at the ceiling");
+  assert(atoMinimumRate(64) === 0.04 && atoMinimumRate(65) === 0.05 && atoMinimumRate(96) === 0.14, "ATO minimum drawdown should step up with age");
+  assert(!simulate({ ...mcParams, withdrawal: { strategy: "fixedPct", pct: 0.05 } }).depletedAge, "Fixed % withdrawals should never fully deplete");
+});
+
+test("life events", () => {
+  const inherit = simulate({ ...evBase, lifeEvents: [{ label: "Inheritance", age: 42.5, amount: 50000 }] });
+  assert(inherit.rows[2].nominal === 100000 && inherit.rows[3].nominal === 150000, "One-off inflows should land in the month they fall due");
+  assert(inherit.lifeEvents.length === 1 && Math.abs(inherit.lifeEvents[0].age - 42.5) < 1e-9, "Applied events should be reported with their age");
+  assert(lifeEventOccurrences([{ label: "Car", age: 41, amount: -1, everyYears: 3, untilAge: 48 }], 40, 60).map((e) => e.age).join() === "41,44,47", "Recurring events should repeat until their end age");
+  const indexed = simulate({ ...evBase, inflationAnnual: 0.03, lifeEvents: [{ label: "Car", age: 42, amount: -10000, real: true }] });
+  assert(Math.abs(indexed.rows[2].events + 10000 * 1.03 ** 2) < 1e-6, "Today's-dollar events should be indexed to the month they fall due");
+  const wedding = simulate({ ...evBase, lifeEvents: [{ label: "Wedding", age: 41, amount: -150000 }] });
+  assert(wedding.depletedAge === 41 && wedding.lifeEvents[0].shortfall === 50000, "Outflows larger than the balance should deplete it and report the shortfall");
+});
+
+test("savings plan", () => {
+  const saver = { ...superBase, horizonYears: 10, monthlySave: 1000 };
+  assert(simulate(saver).contributed === 120000, "Flat contributions should total monthlySave × 12 × years");
+  assert(simulate({ ...saver, contributionPlan: {} }).endNom === simulate(saver).endNom, "An empty contribution plan should match flat saving");
+  const raised = simulate({ ...saver, contributionPlan: { growth: 0.1 } });
+  assert(Math.abs(raised.rows[2].nominal - 12000 * 2.1) < 1e-6, "Fixed escalation should raise contributions once a year");
+  const paused = simulate({ ...saver, contributionPlan: { bands: [{ fromAge: 42, toAge: 44, pct: 0 }, { fromAge: 45, toAge: 50, pct: 0.5 }] } });
+  assert(Math.abs(paused.contributed - 12000 * 3 - 6000 * 5) < 1e-6, "Career-phase bands should pause or scale contributions between their ages");
+  const carried = simulate({ ...superBase, horizonYears: 5, superAccount: { concessionalAnnual: 20000 }, contributionPlan: { bands: [{ fromAge: 44, toAge: 45, pct: 3 }] } });
+  assert(carried.super.excessConcessional < 1e-6, "Unused concessional cap should carry forward to a catch-up year");
+});
+
+test("ledger", () => {
+  const charged = simulate({ ...superBase, horizonYears: 30, startAssets: 500000, monthlySave: 1000, preAnnualGross: 0.07, postRealAnnualGross: 0.03, inflationAnnual: 0.025, annualSpendToday: 30000, feeAnnualPre: 0.01, feeAnnualPost: 0.01, fixedFeeAnnual: 3000 });
+  assert(balances(charged), "Each ledger year should reconcile opening to closing");
+  assert(charged.totals.pctFees > 0 && Math.abs(charged.totals.fixedFees - 3000 * 30) < 1e-6, "Ledger totals should report % fees and every fixed fee charged while funded");
+  assert(balances(simulate({ ...superBase, retirementAge: 60, horizonYears: 40, startAssets: 100000, preAnnualGross: 0.06, annualSpendToday: 50000, superAccount: { startBalance: 300000, concessionalAnnual: 40000 }, agePension: {} })), "Super, tax and Age Pension flows should reconcile in the ledger");
+  assert(balances(simulate({ ...evBase, preAnnualGross: 0.05, lifeEvents: [{ label: "Inheritance", age: 43, amount: 80000 }, { label: "Car", age: 45, amount: -30000 }] })), "Life events should reconcile in the ledger");
+});
+
+test("fee schedule", () => {
+  const feeBase = { ...superBase, horizonYears: 30, startAssets: 500000, preAnnualGross: 0.07, inflationAnnual: 0.03 };
+  const flat = simulate({ ...feeBase, feeAnnualPre: 0.01, feeAnnualPost: 0.01 });
+  const oneTier = simulate({ ...feeBase, feeSchedule: { tiers: [{ upTo: Infinity, pct: 0.01 }] } });
+  assert(Math.abs(flat.endNom / oneTier.endNom - 1) < 0.02, "A single open tier should cost about the same as the flat % fee (charged on the balance, not netted from the return)");
+  const cappedFees = simulate({ ...feeBase, feeSchedule: { tiers: [{ upTo: Infinity, pct: 0.02 }], capAnnual: 1000 } });
+  assert(Math.abs(cappedFees.fees.tiered - 30000) < 1e-6, "Tiered fees should stop at the cap each year");
+  const cpiFixed = simulate({ ...feeBase, fixedFeeAnnual: 1200, feeSchedule: { indexFixed: true } });
+  const flatFixed = simulate({ ...feeBase, fixedFeeAnnual: 1200, feeSchedule: { indexFixed: false } });
+  assert(cpiFixed.fees.fixed > 36000 * 1.5 && Math.abs(flatFixed.fees.fixed - 36000) < 1e-6, "Fixed fees should rise with CPI only when indexed");
+  const extras = simulate({ ...feeBase, fixedFeeAnnual: 1200, feeSchedule: { establishment: 500, tradeCostAnnual: 240 } });
+  assert(extras.fees.establishment === 500 && Math.abs(extras.fees.brokerage - 7200) < 1e-6 && Math.abs(extras.totals.fixedFees - 43700) < 1e-6, "Establishment and brokerage should be charged as fixed fees");
+  const perf = (perfHurdle) => simulate({ ...feeBase, feeSchedule: { perfPct: 0.2, perfHurdle } }).fees.performance;
+  assert(perf(0.05) > 0 && perf(0.1) === 0, "Performance fees should only take a share of earnings above the hurdle");
+  const scheduled = simulate({ ...feeBase, retirementAge: 55, annualSpendToday: 40000, fixedFeeAnnual: 1000, feeSchedule: { tiers: [{ upTo: 250000, pct: 0.012 }, { upTo: Infinity, pct: 0.004 }], capAnnual: 2500, indexFixed: true, establishment: 800, tradeCostAnnual: 120, perfPct: 0.15, perfHurdle: 0.05 } });
+  assert(balances(scheduled), "Fee schedules should reconcile in the ledger");
+  assert(Math.abs(scheduled.rows[scheduled.rows.length - 1].feesCum - scheduled.totals.pctFees - scheduled.totals.fixedFees) < 1e-6, "The cumulative fees line should end at the total fees paid");
+});
+
+test("adviser alpha", () => {
+  const alphaBase = { ...superBase, horizonYears: 10, startAssets: 100000, monthlySave: 500, preAnnualGross: 0.07 };
+  const same = (a, b) => Math.abs(simulate(a).endNom - simulate(b).endNom) < 1e-6;
+  assert(same({ ...alphaBase, returnAlpha: 0.01 }, { ...alphaBase, preAnnualGross: 0.08 }), "Adviser alpha should add to the gross return");
+  assert(same({ ...alphaBase, behaviourGap: 0.04, downYearShare: 0.3 }, { ...alphaBase, preAnnualGross: 0.07 - 0.04 * 0.3 }), "Flat-return runs should spread the behaviour gap over the share of down years");
+  assert(same({ ...alphaBase, behaviourGap: 0.04 }, { ...alphaBase, preAnnualGross: 0.07 - 0.01 }), "A quarter of years should be down years by default");
+  assert(same({ ...alphaBase, horizonYears: 2, behaviourGap: 0.05, returnShocks: [-0.3, 0.02] }, { ...alphaBase, horizonYears: 2, returnShocks: [-0.35, 0.02] }), "Varying returns should lose the behaviour gap only in down years");
+  const alphaDiy = { ...alphaBase, feeAnnualPre: 0.002, feeAnnualPost: 0.002 };
+  const alphaAdv = { ...alphaBase, feeAnnualPre: 0.012, feeAnnualPost: 0.012 };
+  const be = breakEvenAlpha(alphaDiy, alphaAdv, "balanceAtRet", 90);
+  assert(Math.abs(be.alpha - 0.01) < 1e-4 && be.curve.length === 13 && be.curve[12].adviser > be.curve[0].adviser, "Break-even alpha should offset the extra % fee");
+  assert(breakEvenAlpha(alphaAdv, alphaDiy, "balanceAtRet", 90).alpha === 0, "A cheaper adviser should need no alpha");
+  assert(breakEvenAlpha(alphaDiy, { ...alphaBase, feeAnnualPre: 0.05, feeAnnualPost: 0.05 }, "balanceAtRet", 90).alpha === null, "Fees beyond the search range should have no break-even");
+});
+
+test("goal solver", () => {
+  assert(Math.abs(goalSeek((x) => x * x >= 2, { lo: 0, hi: 1, max: 10 }) - Math.SQRT2) < 1e-6, "Goal seek should find the smallest passing value");
+  assert(goalSeek((x) => x > 20, { max: 10 }) === null && goalSeek((x) => x <= 3, { hi: 1, max: 10, rising: false }) === 3, "Goal seek should report out-of-reach goals and find the largest passing value");
+  const goalBase = { ...superBase, horizonYears: 50, startAssets: 50000, monthlySave: 500, preAnnualGross: 0.06, postRealAnnualGross: 0.03, inflationAnnual: 0.02 };
+  const spendGoal = { target: "spend", spend: 40000 };
+  const needed = solveGoal(goalBase, spendGoal, "monthlySave", [0, 25000], 90);
+  const saveRun = (m) => simulate({ ...goalBase, monthlySave: m, annualSpendToday: 40000 });
+  assert(needed % 10 === 0 && meetsGoal(saveRun(needed), spendGoal, 90) && !meetsGoal(saveRun(needed - 10), spendGoal, 90), "Required savings should be the smallest amount that lasts");
+  const retireAt = solveGoal(goalBase, spendGoal, "retirementAge", [41, 89], 90);
+  assert(Number.isInteger(retireAt) && meetsGoal(simulate({ ...goalBase, retirementAge: retireAt, annualSpendToday: 40000 }), spendGoal, 90), "Earliest retirement age should be a whole year that works");
+  const bequestGoal = { target: "bequest", bequest: 1e6 };
+  const seed = solveGoal({ ...goalBase, annualSpendToday: 30000 }, bequestGoal, "initialAmount", [0, 5e6], 90);
+  assert(simulate({ ...goalBase, annualSpendToday: 30000, startAssets: seed }).endReal >= 1e6, "A solved starting balance should leave the bequest");
+  assert(solveGoal(goalBase, { target: "spend", spend: 1e6 }, "returnPa", [0, 20], 90) === null, "Unreachable goals should return null");
+});
+
+test("sensitivity", () => {
+  const sens = sensitivity(sensBase, { rate: 1, amount: 20, years: 2 }, 90);
+  const sensRow = (k) => sens.rows.find((r) => r.key === k);
+  assert(sens.rows.length === Object.keys(SENSITIVITY_INPUTS).length, "Sensitivity should cover every input");
+  assert(sensRow("returnPa").high.balanceAtRet > sens.base.balanceAtRet && sensRow("returnPa").low.balanceAtRet < sens.base.balanceAtRet, "Higher returns should raise the retirement balance");
+  assert(sensRow("fees").high.sustainableSpend < sens.base.sustainableSpend && sensRow("annualSpendToday").low.depletionAge >= sens.base.depletionAge, "Higher fees should cut sustainable spend and lower spending should last longer");
+  assert(sensRow("delayYears").low.balanceAtRet === sens.base.balanceAtRet, "Start delay cannot go below zero");
+  const tiered = { ...sensBase, feeSchedule: { tiers: [{ upTo: 500000, pct: 0.01 }, { upTo: Infinity, pct: 0.005 }] } };
+  const tieredSens = sensitivity(tiered, { rate: 0.25, amount: 20, years: 2 }, 90).rows.find((r) => r.key === "fees");
+  const tieredBase = measureOutcome(tiered, 90);
+  assert(tieredSens.low.balanceAtRet > tieredBase.balanceAtRet && tieredSens.high.balanceAtRet < tieredBase.balanceAtRet, "The fees row should shift a fee schedule's tiers");
+  assert(SENSITIVITY_INPUTS.fees.apply(tiered, -1).feeSchedule.tiers.every((t) => t.pct === 0), "Shifted tiers should not go below zero");
+  const shifted = (p, key, d) => simulate(SENSITIVITY_INPUTS[key].apply(p, d)).endNom;
+  const lasting = { ...sensBase, annualSpendToday: 30000 };
+  assert(Math.abs(shifted(lasting, "postRetRealPa", 1) / simulate({ ...lasting, postRealAnnualGross: 0.05 }).endNom - 1) < 1e-9, "A retirement return shift should match raising the flat real return");
+  const glideSens = { ...sensBase, glidePath: { points: [{ age: 40, growth: 0.9 }, { age: 70, growth: 0.3 }], growthReturn: 0.08, defensiveReturn: 0.04 } };
+  const acctSens = { ...sensBase, accounts: { portfolio: { returnPa: 0.06, feePct: 0 } } };
+  for (const [name, p] of [["glide path", glideSens], ["account return", acctSens]]) {
+    const s = sensitivity(p, { rate: 1, amount: 20, years: 2 }, 90);
+    for (const key of ["returnPa", "postRetRealPa"]) {
+      const row = s.rows.find((r) => r.key === key);
+      assert(row.low.sustainableSpend < s.base.sustainableSpend && row.high.sustainableSpend > s.base.sustainableSpend, `The ${key} row should move a ${name} plan`);
+    }
+  }
+});
+
+test("heatmap", () => {
+  assert(heatmapAxis("returnPa", 1, 5, sensBase, 90).join() === "0,1,2,3" && heatmapAxis("retirementAge", 60, 3, sensBase, 90).join() === "59,60,61", "Heatmap axes should centre on the current value within its limits");
+  const heat = heatmap(sensBase, { x: "returnPa", y: "monthlySave", metric: "balanceAtRet", size: 3 }, { returnPa: 7, monthlySave: 1000 }, 90);
+  assert(heat.cells.length === 3 && heat.cells[1][1] === measureOutcome(sensBase, 90).balanceAtRet, "The centre cell should be the current scenario");
+  assert(heat.cells[0][0] < heat.cells[0][2] && heat.cells[0][0] < heat.cells[2][0], "Higher returns and savings should score better");
+  const glide = { points: [{ age: 40, growth: 0.8 }], growthReturn: 0.08, defensiveReturn: 0.04 };
+  assert(flatReturnsApply(sensBase) && flatReturnsApply({ ...sensBase, accounts: { portfolio: { returnPa: null } } }), "Plain plans should read the flat returns");
+  assert(!flatReturnsApply({ ...sensBase, glidePath: glide }) && !flatReturnsApply({ ...sensBase, accounts: { portfolio: { returnPa: 0.06 } } }), "A glide path or portfolio return should replace the flat returns");
+  assert(Object.keys(HEATMAP_INPUTS).filter((k) => HEATMAP_INPUTS[k].flatReturn).join() === "returnPa,postRetRealPa", "Only the return axes should depend on the flat returns");
+});
+
+test("createEngine()", () => {
+  const runEngine = createEngine();
+  const engineReq = { runs: { a: sensBase, b: { ...sensBase }, c: { ...sensBase, monthlySave: 2000 } }, sustainable: { params: sensBase, planEndAge: 90 }, mc: null };
+  const solvedOnce = runEngine(engineReq);
+  assert(solvedOnce.runs.a.endNom === simulate(sensBase).endNom && solvedOnce.sustainable === sustainableSpend(sensBase, 90), "Engine results should match direct calls");
+  assert(solvedOnce.runs.a === solvedOnce.runs.b && solvedOnce.runs.a !== solvedOnce.runs.c, "Identical runs in one request should be computed once");
+  assert(solvedOnce.mc === null && solvedOnce.heat === null && solvedOnce.goal === null, "Skipped jobs should come back as null");
+  const solvedTwice = runEngine({ ...engineReq, runs: { a: sensBase, c: { ...sensBase, monthlySave: 3000 } } });
+  assert(solvedTwice.runs.a === solvedOnce.runs.a && solvedTwice.runs.c !== solvedOnce.runs.c, "Unchanged jobs should reuse the previous answer");
+  assert(JSON.parse(JSON.stringify(solvedOnce.runs.a)).rows.length === solvedOnce.runs.a.rows.length, "Engine results should be plain data");
+});
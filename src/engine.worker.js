@@ -0,0 +1,15 @@
+/**
+ * Web Worker around the engine: receives { id, request } and posts back { id, result } or { id, error }.
+ * Requests are answered in order; the app decides which ones are stale (see useEngine in App.jsx).
+ */
+import { createEngine } from "./engine";
+
+const run = createEngine();
+
+self.onmessage = ({ data: { id, request } }) => {
+  try {
+    self.postMessage({ id, result: run(request) });
+  } catch (e) {
+    self.postMessage({ id, error: String(e?.message || e) });
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * Client for the engine Web Worker (engine.worker.js), so dragging a slider never blocks rendering.
+ * - One request is in flight at a time; a newer request replaces the queued one (stale ones are never sent).
+ * - If the in-flight request is still running STALE_MS after it was overtaken, the worker is restarted to cancel it.
+ * - Replies, engine errors and a crashed worker go to onReply, onError and onFail.
+ */
+
+const STALE_MS = 300;
+
+export function createEngineClient(onReply, onError, onFail) {
+  let worker = null;
+  let seq = 0;
+  let inFlight = null; // { id, request }
+  let queued = null;
+  let staleTimer = null;
+  const send = (request) => {
+    clearTimeout(staleTimer);
+    queued = null;
+    inFlight = { id: ++seq, request };
+    worker.postMessage({ id: inFlight.id, request });
+  };
+  const start = () => {
+    worker = new Worker(new URL("./engine.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.id !== inFlight?.id) return;
+      const { request } = inFlight;
+      inFlight = null;
+      if (data.error) onError(data.error, request, !!queued);
+      else onReply(data.result, request, !!queued);
+      if (queued) send(queued);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      worker.terminate();
+      onFail();
+    };
+  };
+  start();
+  return {
+    post(request) {
+      if (!inFlight) return send(request);
+      queued = request;
+      clearTimeout(staleTimer);
+      staleTimer = setTimeout(() => {
+        if (!inFlight || !queued) return;
+        worker.terminate();
+        start();
+        send(queued);
+      }, STALE_MS);
+    },
+    terminate() {
+      clearTimeout(staleTimer);
+      worker.terminate();
+    },
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Rows for the CSV / XLSX export and the dollar-basis conversions shared with the on-screen figures.
+ */
+
+// ============== Spreadsheet export (CSV / XLSX) =================
+// Every simulate() run the app computes, in sheet order.
+export const EXPORT_SERIES = [
+  ["comp_now", "Compound - Start Now"],
+  ["comp_delay", "Compound - Delay"],
+  ["fees_diy", "Fees - DIY"],
+  ["fees_advisor", "Fees - Adviser"],
+  ["ut_diy_now", "Target - DIY Start Now"],
+  ["ut_diy_delay", "Target - DIY Delay"],
+  ["ut_adv_now", "Target - Adviser Start Now"],
+];
+
+// Nested objects/arrays become dotted keys (e.g. glide.points.0.age) so every field gets its own cell.
+export const flattenFields = (value, prefix = "", out = []) => {
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (!entries.length && prefix) out.push([prefix, ""]);
+    entries.forEach(([k, v]) => flattenFields(v, prefix ? `${prefix}.${k}` : k, out));
+  } else if (prefix) out.push([prefix, value]);
+  return out;
+};
+
+// Yearly rows → header + values; columns are the union of keys (some only appear once super/pension kick in).
+export const seriesTable = (rows) => {
+  const flat = rows.map((r) => Object.fromEntries(flattenFields(r)));
+  const columns = [...new Set(flat.flatMap(Object.keys))];
+  return [columns, ...flat.map((r) => columns.map((c) => r[c] ?? null))];
+};
+
+// Today's-dollar copy of a yearly row: money fields ÷ CPI at that age, *Nominal keys become *Balance, real columns drop out.
+const AGE_FIELDS = new Set(["age", "partnerAge"]);
+export const todaysRow = (value, cpi, key = "") => {
+  if (Array.isArray(value)) return value.map((v) => todaysRow(v, cpi));
+  if (value && typeof value === "object")
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([k]) => k !== "real" && k !== "incomeReal")
+        .map(([k, v]) => [k === "nominal" ? "balance" : k.replace(/Nominal$/, "Balance"), todaysRow(v, cpi, k)])
+    );
+  return typeof value === "number" && !AGE_FIELDS.has(key) ? value / cpi : value;
+};
+
+// simulate() indexes annualSpendToday from today, so a solved spend is in today's dollars; future dollars
+// show it as the first year of retirement.
+export const spendInBasis = (spend, todays, cpiAtRet) => (todays ? spend : spend * cpiAtRet);
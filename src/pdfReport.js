@@ -0,0 +1,280 @@
+/**
+ * Structured client report drawn with jsPDF primitives (vector text, tables and charts).
+ * - Always light and A4 portrait, whatever the on-screen theme or window size.
+ * - The app passes plain data (see buildReport); this module knows nothing about React state.
+ * - Standard PDF fonts only cover Latin-1, so text goes through pdfText first.
+ */
+
+const MARGIN = 40;
+const FOOTER = 34; // reserved at the bottom of every page
+const INK = "#111827";
+const MUTED = "#6b7280";
+const GRID = "#e5e7eb";
+const ACCENT = "#059669";
+const ZEBRA = "#f3f4f6";
+export const REPORT_COLORS = ["#2563eb", "#f59e0b", "#dc2626", "#7c3aed"];
+
+// Drop emoji and map the few non-Latin-1 characters the app uses.
+export const pdfText = (s) =>
+  String(s ?? "")
+    .replace(/[\u2010\u2011\u2212]/g, "-")
+    .replace(/\u2248/g, "~")
+    .replace(/\u2192/g, "->")
+    .replace(/[^\x20-\x7e\xa0-\xff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Axis labels: $0, $250k, $1.5M (or £…).
+export const compactMoney = (v, symbol = "$") => {
+  const a = Math.abs(v);
+  const sign = v < 0 ? "-" : "";
+  if (a >= 1e6) return `${sign}${symbol}${+(a / 1e6).toFixed(a >= 1e7 ? 0 : 1)}M`;
+  if (a >= 1e3) return `${sign}${symbol}${Math.round(a / 1e3)}k`;
+  return `${sign}${symbol}${Math.round(a)}`;
+};
+
+// 1, 2, 2.5 or 5 × 10^n so that about `ticks` gridlines cover `max`.
+export const niceStep = (max, ticks = 5) => {
+  if (!(max > 0)) return 1;
+  const raw = max / ticks;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 2.5, 5, 10].map((m) => m * mag).find((s) => s >= raw);
+};
+
+// ---- Page flow ----
+const makeFlow = (doc) => {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  const flow = {
+    doc,
+    left: MARGIN,
+    width: width - MARGIN * 2,
+    bottom: height - MARGIN - FOOTER,
+    y: MARGIN,
+    newPage() {
+      doc.addPage();
+      flow.y = MARGIN;
+    },
+    // Start a new page unless `h` points still fit.
+    need(h) {
+      if (flow.y + h > flow.bottom) flow.newPage();
+    },
+  };
+  return flow;
+};
+
+const setText = (doc, size, style = "normal", color = INK) => {
+  doc.setFont("helvetica", style);
+  doc.setFontSize(size);
+  doc.setTextColor(color);
+};
+
+const heading = (flow, text) => {
+  flow.need(60);
+  setText(flow.doc, 15, "bold", ACCENT);
+  flow.doc.text(pdfText(text), flow.left, flow.y + 14);
+  flow.y += 26;
+};
+
+const paragraph = (flow, text, { size = 10, color = INK, bullet = false } = {}) => {
+  const { doc } = flow;
+  setText(doc, size, "normal", color);
+  const indent = bullet ? 12 : 0;
+  const lines = doc.splitTextToSize(pdfText(text), flow.width - indent);
+  const lh = size * 1.35;
+  lines.forEach((line, i) => {
+    flow.need(lh);
+    if (bullet && i === 0) doc.text("•", flow.left, flow.y + size);
+    doc.text(line, flow.left + indent, flow.y + size);
+    flow.y += lh;
+  });
+  flow.y += bullet ? 2 : 6;
+};
+
+// ---- Tables ----
+// Column widths are fractions of the text width; the header repeats after a page break.
+const table = (flow, { head, rows, widths, align = [] }) => {
+  const { doc } = flow;
+  const cols = widths.map((f) => f * flow.width);
+  const pad = 5;
+  const rowHeight = (cells, size) => {
+    setText(doc, size);
+    return Math.max(...cells.map((c, i) => doc.splitTextToSize(pdfText(c), cols[i] - pad * 2).length)) * size * 1.3 + pad * 2;
+  };
+  const drawRow = (cells, { bold = false, fill = null, size = 9 } = {}) => {
+    const h = rowHeight(cells, size);
+    if (fill) {
+      doc.setFillColor(fill);
+      doc.rect(flow.left, flow.y, flow.width, h, "F");
+    }
+    setText(doc, size, bold ? "bold" : "normal", fill === ACCENT ? "#ffffff" : INK);
+    let x = flow.left;
+    cells.forEach((c, i) => {
+      const lines = doc.splitTextToSize(pdfText(c), cols[i] - pad * 2);
+      const right = align[i] === "right";
+      doc.text(lines, right ? x + cols[i] - pad : x + pad, flow.y + pad + size, { align: right ? "right" : "left" });
+      x += cols[i];
+    });
+    doc.setDrawColor(GRID);
+    doc.line(flow.left, flow.y + h, flow.left + flow.width, flow.y + h);
+    flow.y += h;
+  };
+  flow.need(rowHeight(head, 9) + (rows[0] ? rowHeight(rows[0], 9) : 0));
+  drawRow(head, { bold: true, fill: ACCENT });
+  rows.forEach((cells, r) => {
+    if (flow.y + rowHeight(cells, 9) > flow.bottom) {
+      flow.newPage();
+      drawRow(head, { bold: true, fill: ACCENT });
+    }
+    drawRow(cells, { fill: r % 2 ? ZEBRA : null });
+  });
+  flow.y += 12;
+};
+
+// ---- Charts ----
+// series: [{ label, color, dashed?, points: [[age, value], …] }]; markers: [{ age, label }].
+const chart = (flow, { title, note, series, markers = [] }, symbol = "$", height = 250) => {
+  const { doc } = flow;
+  flow.need(height + 40);
+  setText(doc, 11, "bold");
+  doc.text(pdfText(title), flow.left, flow.y + 11);
+  if (note) {
+    setText(doc, 8, "normal", MUTED);
+    doc.text(pdfText(note), flow.left + flow.width, flow.y + 11, { align: "right" });
+  }
+  const top = flow.y + 22;
+  const plot = { x: flow.left + 48, y: top, w: flow.width - 56, h: height - 56 };
+  const all = series.flatMap((s) => s.points);
+  const ages = all.map(([a]) => a);
+  const minAge = Math.min(...ages);
+  const maxAge = Math.max(minAge + 1, ...ages);
+  const step = niceStep(Math.max(0, ...all.map(([, v]) => v)));
+  const maxV = Math.max(step, Math.ceil(Math.max(0, ...all.map(([, v]) => v)) / step) * step);
+  const px = (a) => plot.x + ((a - minAge) / (maxAge - minAge)) * plot.w;
+  const py = (v) => plot.y + plot.h - (Math.max(0, v) / maxV) * plot.h;
+
+  // gridlines and axes
+  doc.setLineWidth(0.5);
+  setText(doc, 7, "normal", MUTED);
+  for (let v = 0; v <= maxV + step / 2; v += step) {
+    doc.setDrawColor(GRID);
+    doc.line(plot.x, py(v), plot.x + plot.w, py(v));
+    doc.text(compactMoney(v, symbol), plot.x - 4, py(v) + 2.5, { align: "right" });
+  }
+  const ageStep = Math.max(1, Math.ceil((maxAge - minAge) / 12));
+  for (let a = Math.ceil(minAge); a <= maxAge; a += ageStep) doc.text(String(a), px(a), plot.y + plot.h + 10, { align: "center" });
+  doc.text("Age", plot.x + plot.w / 2, plot.y + plot.h + 20, { align: "center" });
+  doc.setDrawColor(MUTED);
+  doc.line(plot.x, plot.y + plot.h, plot.x + plot.w, plot.y + plot.h);
+
+  markers.forEach(({ age, label }) => {
+    if (age < minAge || age > maxAge) return;
+    doc.setDrawColor(MUTED);
+    doc.setLineDashPattern([2, 2], 0);
+    doc.line(px(age), plot.y, px(age), plot.y + plot.h);
+    doc.setLineDashPattern([], 0);
+    doc.text(pdfText(label), px(age) + 2, plot.y + 7);
+  });
+
+  series.forEach(({ color, dashed, points }) => {
+    if (points.length < 2) return;
+    doc.setDrawColor(color);
+    doc.setLineWidth(1.4);
+    doc.setLineDashPattern(dashed ? [4, 3] : [], 0);
+    const [[a0, v0], ...rest] = points;
+    let prev = [px(a0), py(v0)];
+    doc.lines(
+      rest.map(([a, v]) => {
+        const next = [px(a), py(v)];
+        const d = [next[0] - prev[0], next[1] - prev[1]];
+        prev = next;
+        return d;
+      }),
+      px(a0),
+      py(v0),
+      [1, 1],
+      "S"
+    );
+    doc.setLineDashPattern([], 0);
+  });
+  doc.setLineWidth(0.5);
+
+  // legend
+  let lx = plot.x;
+  const ly = plot.y + plot.h + 32;
+  setText(doc, 8);
+  series.forEach(({ label, color, dashed }) => {
+    doc.setDrawColor(color);
+    doc.setLineWidth(1.4);
+    doc.setLineDashPattern(dashed ? [4, 3] : [], 0);
+    doc.line(lx, ly - 2.5, lx + 14, ly - 2.5);
+    doc.setLineDashPattern([], 0);
+    doc.setLineWidth(0.5);
+    const text = pdfText(label);
+    doc.text(text, lx + 18, ly);
+    lx += 28 + doc.getTextWidth(text);
+  });
+  flow.y = top + height - 10;
+};
+
+// ---- Report ----
+/**
+ * report: {
+ *   title, subtitle, client, adviser? (signed-in adviser, stamped on every page),
+ *   preparedOn, currency? (axis symbol, default "$"),
+ *   assumptions: [[label, value]],
+ *   charts: [{ title, note?, series, markers? }],
+ *   insights: [string],
+ *   feeTable: { head, rows },
+ *   disclaimer,
+ * }
+ */
+export function buildReport(JsPDF, report) {
+  const doc = new JsPDF({ orientation: "portrait", unit: "pt", format: "a4" });
+  const flow = makeFlow(doc);
+
+  // cover
+  doc.setFillColor(ACCENT);
+  doc.rect(0, 0, doc.internal.pageSize.getWidth(), 8, "F");
+  setText(doc, 30, "bold");
+  doc.text(pdfText(report.title), flow.left, 200);
+  setText(doc, 14, "normal", MUTED);
+  doc.text(pdfText(report.subtitle), flow.left, 226);
+  setText(doc, 12, "normal");
+  doc.text(`Prepared for: ${pdfText(report.client) || "Client"}`, flow.left, 290);
+  doc.text(`Date: ${pdfText(report.preparedOn)}`, flow.left, 308);
+  if (report.adviser) doc.text(`Prepared by: ${pdfText(report.adviser)}`, flow.left, 326);
+
+  flow.newPage();
+  heading(flow, "Assumptions");
+  table(flow, { head: ["Assumption", "Value"], rows: report.assumptions, widths: [0.55, 0.45] });
+
+  flow.newPage();
+  heading(flow, "Projections");
+  report.charts.forEach((c) => chart(flow, c, report.currency));
+
+  heading(flow, "Key insights");
+  report.insights.forEach((line) => paragraph(flow, line, { bullet: true }));
+  flow.y += 10;
+
+  heading(flow, "Fee comparison");
+  table(flow, { ...report.feeTable, widths: [0.4, 0.2, 0.2, 0.2], align: ["left", "right", "right", "right"] });
+
+  // footer on every page, once the page count is known
+  const pages = doc.getNumberOfPages();
+  const height = doc.internal.pageSize.getHeight();
+  const side = report.adviser ? 150 : 70; // right-hand column for the page number and adviser
+  for (let p = 1; p <= pages; p++) {
+    doc.setPage(p);
+    doc.setDrawColor(GRID);
+    doc.line(flow.left, height - MARGIN - FOOTER + 8, flow.left + flow.width, height - MARGIN - FOOTER + 8);
+    setText(doc, 7, "normal", MUTED);
+    doc.text(doc.splitTextToSize(pdfText(report.disclaimer), flow.width - side).slice(0, 3), flow.left, height - MARGIN - FOOTER + 18);
+    doc.text(`Page ${p} of ${pages}`, flow.left + flow.width, height - MARGIN - FOOTER + 18, { align: "right" });
+    if (report.adviser) {
+      const stamp = doc.splitTextToSize(`Adviser: ${pdfText(report.adviser)}`, side - 10)[0];
+      doc.text(stamp, flow.left + flow.width, height - MARGIN - FOOTER + 27, { align: "right" });
+    }
+  }
+  return doc;
+}
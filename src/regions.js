@@ -0,0 +1,49 @@
+/**
+ * Regions the planner can format for: currency, number/date locale and country defaults.
+ * - formatsFor(code) → that region's money, axis and date formatters (AU when the code is unknown).
+ * - The formatter sets are built once at load; nothing here changes at runtime.
+ */
+import { nz } from "./engine";
+
+// ================= Regions (locale, currency, country defaults) =================
+// `symbol` prefixes full amounts, `short` goes on axes, slider boxes and "$" in labels.
+// inflationPa is the central bank's target; the shifts nudge the preset growth/defensive returns (% p.a.).
+export const REGIONS = {
+  AU: { label: "🇦🇺 Australia", locale: "en-AU", symbol: "A$", short: "$", inflationPa: 2.5, growthShift: 0, defensiveShift: 0 },
+  NZ: { label: "🇳🇿 New Zealand", locale: "en-NZ", symbol: "NZ$", short: "$", inflationPa: 2.0, growthShift: -0.25, defensiveShift: 0.5 },
+  UK: { label: "🇬🇧 United Kingdom", locale: "en-GB", symbol: "£", short: "£", inflationPa: 2.0, growthShift: -0.5, defensiveShift: -0.25 },
+  US: { label: "🇺🇸 United States", locale: "en-US", symbol: "US$", short: "$", inflationPa: 2.0, growthShift: 0, defensiveShift: 0 },
+};
+
+// Money, axis and date formatting for one region. Built once per region; the planner passes its region's set
+// down through FormatContext, and module helpers that format take the formatter they need as an argument.
+const makeFormats = (region) => {
+  const fmtMoney = (n) => region.symbol + nz(n, 0).toLocaleString(region.locale, { maximumFractionDigits: 0, minimumFractionDigits: 0 });
+  // Typed amounts back to numbers: drops symbols and the locale's group separators ("£1,250.50" → 1250.5).
+  const parseMoney = (text) => {
+    const parts = new Intl.NumberFormat(region.locale).formatToParts(12345.6);
+    const group = parts.find((p) => p.type === "group")?.value ?? ",";
+    const decimal = parts.find((p) => p.type === "decimal")?.value ?? ".";
+    const cleaned = String(text).split(group).join("").split(decimal).join(".").replace(/[^0-9.]/g, "");
+    return cleaned ? Number(cleaned) : 0;
+  };
+  // Labels are written with "$"; other currencies swap in their own sign.
+  const moneyText = (s) => (typeof s === "string" && region.short !== "$" ? s.replace(/\$/g, region.short) : s);
+  const fmtAxis = (v) => {
+    const n = Number(v) || 0;
+    const a = Math.abs(n);
+    const s =
+      a >= 1e9
+        ? (a / 1e9).toFixed(1) + "Bn"
+        : a >= 1e6
+        ? (a / 1e6).toFixed(1) + "M"
+        : a >= 1e3
+        ? Math.round(a / 1e3) + "k"
+        : String(Math.round(a));
+    return (n < 0 ? "-" : "") + region.short + s;
+  };
+  const fmtStamp = (ms) => new Date(ms).toLocaleString(region.locale, { day: "2-digit", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit" });
+  return { region, fmtMoney, parseMoney, moneyText, fmtAxis, fmtStamp };
+};
+const FORMATS = Object.fromEntries(Object.entries(REGIONS).map(([code, region]) => [code, makeFormats(region)]));
+export const formatsFor = (code) => FORMATS[code] || FORMATS.AU;
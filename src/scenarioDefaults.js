@@ -0,0 +1,184 @@
+/**
+ * Scenario inputs as the UI holds them (percentages in %, amounts in dollars): option lists, defaults and the
+ * helpers that turn one of these settings into simulate() params or report text.
+ */
+import { REGIONS } from "./regions";
+
+// ============== Tabs =================
+export const TABS = { COMPOUND: "Compounding", FEES: "Fees", TARGET: "Ultimate Target" };
+
+// ============== Accounts & drawdown order =================
+export const DRAWDOWN_ORDERS = {
+  nonSuperFirst: "Non‑super first",
+  cashFirst: "Cash first",
+  superFirst: "Super first",
+  proRata: "Pro‑rata",
+};
+// Per-account settings (percentages as entered in the UI). Portfolio/super can follow the scenario return.
+export const ACCOUNT_DEFAULTS = {
+  portfolio: { ownReturn: false, returnPa: 8, feePct: 0 },
+  cash: { startBalance: 20000, monthly: 0, returnPa: 4, feePct: 0 },
+  super: { ownReturn: false, returnPa: 7, feePct: 0.5 },
+};
+
+// ============== Age Pension (thresholds editor) =================
+// Editable rows of the thresholds table: [label, path into the rates object, kind].
+export const AGE_PENSION_FIELDS = [
+  ["Pension age", ["pensionAge"], "age"],
+  ["Max rate p.a. — single", ["maxRate", "single"], "money"],
+  ["Max rate p.a. — couple (combined)", ["maxRate", "couple"], "money"],
+  ["Assets threshold — single homeowner", ["assetsThreshold", "single", "homeowner"], "money"],
+  ["Assets threshold — single non‑homeowner", ["assetsThreshold", "single", "nonHomeowner"], "money"],
+  ["Assets threshold — couple homeowner", ["assetsThreshold", "couple", "homeowner"], "money"],
+  ["Assets threshold — couple non‑homeowner", ["assetsThreshold", "couple", "nonHomeowner"], "money"],
+  ["Assets taper (% p.a. of excess)", ["assetsTaper"], "pct"],
+  ["Income free area p.a. — single", ["incomeFreeArea", "single"], "money"],
+  ["Income free area p.a. — couple", ["incomeFreeArea", "couple"], "money"],
+  ["Income taper (%)", ["incomeTaper"], "pct"],
+  ["Deeming threshold — single", ["deemingThreshold", "single"], "money"],
+  ["Deeming threshold — couple", ["deemingThreshold", "couple"], "money"],
+  ["Deeming rate — lower (%)", ["deemingLower"], "pct"],
+  ["Deeming rate — upper (%)", ["deemingUpper"], "pct"],
+];
+
+// ============== Glide path presets =================
+// Preset templates: growth % by years from retirement, plus per-asset-class assumptions (% p.a., nominal).
+export const GLIDE_TEMPLATES = {
+  Conservative: {
+    points: [[-20, 60], [0, 40], [15, 30]],
+    growthReturn: 8.5,
+    defensiveReturn: 4.0,
+    growthFee: 0.2,
+    defensiveFee: 0.1,
+  },
+  Balanced: {
+    points: [[-20, 85], [-10, 80], [0, 60], [15, 50]],
+    growthReturn: 9.0,
+    defensiveReturn: 4.5,
+    growthFee: 0.2,
+    defensiveFee: 0.1,
+  },
+  Growth: {
+    points: [[-20, 100], [-5, 90], [0, 75], [15, 65]],
+    growthReturn: 9.5,
+    defensiveReturn: 4.5,
+    growthFee: 0.2,
+    defensiveFee: 0.1,
+  },
+};
+export const GLIDE_DEFAULT = {
+  points: [
+    { age: 40, growth: 90 },
+    { age: 70, growth: 50 },
+  ],
+  growthReturn: 9.0,
+  defensiveReturn: 4.5,
+  growthFee: 0.2,
+  defensiveFee: 0.1,
+};
+export const glideFromTemplate = (key, retirementAge, region = "AU") => {
+  const t = GLIDE_TEMPLATES[key];
+  const { growthShift, defensiveShift } = REGIONS[region] || REGIONS.AU;
+  return {
+    ...t,
+    growthReturn: +(t.growthReturn + growthShift).toFixed(2),
+    defensiveReturn: +(t.defensiveReturn + defensiveShift).toFixed(2),
+    points: t.points.map(([offset, growth]) => ({ age: retirementAge + offset, growth })),
+  };
+};
+
+// ============== Withdrawal strategies (drawdown phase) =================
+export const WITHDRAWAL_STRATEGIES = {
+  constant: "Constant $",
+  fixedPct: "Fixed % of balance",
+  guytonKlinger: "Guardrails (Guyton-Klinger)",
+  floorCeiling: "Floor & ceiling",
+  atoMinimum: "ATO minimum",
+};
+export const WITHDRAWAL_SETTINGS_DEFAULT = { pct: 4, floorPct: 85, ceilingPct: 115, guardrail: 20, adjust: 10 };
+
+// ============== Savings plan (contribution escalation and career phases) =================
+export const ESCALATION_MODES = { none: "Flat", fixed: "Fixed % p.a.", wage: "Wage index" };
+// UI defaults in %; bands scale contributions between fromAge (inclusive) and toAge (exclusive).
+export const SAVINGS_PLAN_DEFAULT = {
+  escalation: "wage",
+  fixedPct: 3,
+  wageRealPct: 1, // wage growth above CPI
+  bands: [
+    { label: "Parental leave", fromAge: 32, toAge: 34, pct: 0 },
+    { label: "Part-time", fromAge: 60, toAge: 65, pct: 50 },
+  ],
+};
+
+// Starter rows for the life-events editor (amounts positive; `type` sets the direction).
+export const LIFE_EVENTS_DEFAULT = [
+  { label: "Inheritance", age: 55, amount: 200000, type: "in", real: true, everyYears: 0, untilAge: 0, toSuper: false },
+  { label: "Car", age: 45, amount: 40000, type: "out", real: true, everyYears: 8, untilAge: 85, toSuper: false },
+];
+
+// ============== Fee schedules (tiers, caps, brokerage, performance) =================
+// UI shape (percentages in %): tiers are marginal bands by total balance; upTo 0 means "no limit".
+export const FEE_SCHEDULE_DEFAULT = {
+  enabled: false,
+  tiers: [
+    { upTo: 500000, pct: 1 },
+    { upTo: 0, pct: 0.5 },
+  ],
+  capAnnual: 0, // 0 = no cap on the tiered % fee
+  indexFixed: false, // fixed fee rises with CPI
+  establishment: 0,
+  tradesPerYear: 0,
+  brokerage: 0, // $ per trade
+  perfPct: 0, // share of the year's return above the hurdle
+  perfHurdlePct: 6,
+};
+
+// UI schedule → simulate() feeSchedule (fractions, sorted tiers); null when switched off.
+export const feeScheduleParams = (s) =>
+  s?.enabled
+    ? {
+        tiers: s.tiers
+          .map((t) => ({ upTo: Number(t.upTo) > 0 ? Number(t.upTo) : Infinity, pct: Math.max(0, Number(t.pct)) / 100 }))
+          .sort((a, b) => a.upTo - b.upTo),
+        capAnnual: Math.max(0, s.capAnnual),
+        indexFixed: !!s.indexFixed,
+        establishment: Math.max(0, s.establishment),
+        tradeCostAnnual: Math.max(0, s.tradesPerYear) * Math.max(0, s.brokerage),
+        perfPct: Math.max(0, s.perfPct) / 100,
+        perfHurdle: s.perfHurdlePct / 100,
+      }
+    : null;
+
+// "1% to A$500,000, 0.5% above; cap A$5,000/yr; …" (in fmtMoney's currency) for the report and spreadsheet.
+export const feeScheduleText = (s, fixed, fmtMoney) => {
+  const tiers = [...s.tiers].sort((a, b) => (a.upTo > 0 ? a.upTo : Infinity) - (b.upTo > 0 ? b.upTo : Infinity));
+  const bands = tiers.map((t, i) => (t.upTo > 0 ? `${t.pct}% to ${fmtMoney(t.upTo)}` : `${t.pct}% ${i ? "above" : "on all"}`)).join(", ");
+  return [
+    bands || "no % fee",
+    s.capAnnual > 0 && `cap ${fmtMoney(s.capAnnual)}/yr`,
+    `${fmtMoney(fixed)}/yr fixed${s.indexFixed ? " (CPI-indexed)" : ""}`,
+    s.tradesPerYear > 0 && s.brokerage > 0 && `${s.tradesPerYear} trades × ${fmtMoney(s.brokerage)}`,
+    s.perfPct > 0 && `${s.perfPct}% performance fee over ${s.perfHurdlePct}%`,
+    s.establishment > 0 && `${fmtMoney(s.establishment)} establishment`,
+  ]
+    .filter(Boolean)
+    .join("; ");
+};
+
+// ============== Adviser value-add (alpha) =================
+// UI shape (% p.a.; the behaviour gap is % points lost in each down year). Flat-return runs spread the gap over
+// downYearsPct of years, an assumption the adviser sets (one year in four by default). `metric` picks the break-even outcome.
+export const ALPHA_DEFAULT = { behaviourGapPct: 4, downYearsPct: 25, taxPct: 0.3, rebalancingPct: 0.2, productPct: 0.1, metric: "sustainableSpend" };
+export const ALPHA_SOURCES = [
+  ["taxPct", "Tax Alpha (% p.a.)"],
+  ["rebalancingPct", "Rebalancing Benefit (% p.a.)"],
+  ["productPct", "Product Access (% p.a.)"],
+];
+export const adviserAlpha = (a) => ALPHA_SOURCES.reduce((sum, [key]) => sum + Math.max(0, a[key]), 0) / 100;
+
+// ============== Analysis settings (goal solver, sensitivity, heatmap) =================
+export const GOAL_TARGETS = { spend: "Spend per year to life expectancy", bequest: "Leave a bequest" };
+export const GOAL_DEFAULT = { target: "spend", spend: 60000, bequest: 500000, unknown: "monthlySave" };
+export const SENSITIVITY_UNITS = { rate: "pt", amount: "%", years: "y" };
+export const SENSITIVITY_DEFAULT = { rate: 1, amount: 20, years: 2, metric: "balanceAtRet" };
+export const HEATMAP_DEFAULT = { x: "returnPa", y: "monthlySave", metric: "balanceAtRet", size: 7 };
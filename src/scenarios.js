@@ -0,0 +1,362 @@
+/**
+ * Saving, loading and sharing scenarios.
+ * - validateScenario() migrates and validates any stored, shared or imported state against SCENARIO_SCHEMA.
+ * - The library keeps named scenarios in localStorage (storage is passed in, so it can be tested without a browser).
+ * - Share links pack a state into a compressed, checksummed ?state= parameter.
+ */
+import { AGE_PENSION_DEFAULTS, GOAL_UNKNOWNS, HEATMAP_INPUTS, OUTCOME_METRICS, clamp } from "./engine";
+import { REGIONS } from "./regions";
+import {
+  AGE_PENSION_FIELDS,
+  DRAWDOWN_ORDERS,
+  ESCALATION_MODES,
+  FEE_SCHEDULE_DEFAULT,
+  GLIDE_DEFAULT,
+  GLIDE_TEMPLATES,
+  GOAL_TARGETS,
+  LIFE_EVENTS_DEFAULT,
+  SAVINGS_PLAN_DEFAULT,
+  TABS,
+  WITHDRAWAL_STRATEGIES,
+} from "./scenarioDefaults";
+
+// ============== Scenario schema (validation & migration) =================
+// Every saved, shared or imported scenario passes through validateScenario() before it reaches state:
+// older versions are migrated step by step, then each field is type-checked and clamped to the same
+// limits as its control. Fields are validated in order, so dependent limits can read earlier ones.
+export const SCHEMA_VERSION = 5;
+
+const num = (def, min, max, opts) => ({ type: "number", default: def, min, max, ...opts });
+const bool = (def) => ({ type: "boolean", default: def });
+const str = (def) => ({ type: "string", default: def });
+const oneOf = (def, values) => ({ type: "enum", default: def, values });
+const obj = (fields) => ({ type: "object", fields });
+const list = (of, def, maxItems = 50) => ({ type: "array", of, default: def, maxItems });
+
+// Mirrors the nesting of AGE_PENSION_DEFAULTS; limits follow the kind of each rate-table row.
+const ruleFromDefaults = (defaults, ruleFor, path = []) =>
+  obj(
+    Object.fromEntries(
+      Object.entries(defaults).map(([k, v]) => [k, v && typeof v === "object" ? ruleFromDefaults(v, ruleFor, [...path, k]) : ruleFor([...path, k], v)])
+    )
+  );
+const PENSION_RATES_RULE = ruleFromDefaults(AGE_PENSION_DEFAULTS, (path, def) => {
+  const kind = AGE_PENSION_FIELDS.find(([, p]) => p.join(".") === path.join("."))?.[2];
+  return num(def, 0, kind === "pct" ? 1 : kind === "age" ? 110 : 10_000_000);
+});
+
+const FEE_SCHEDULE_RULE = obj({
+  enabled: bool(false),
+  tiers: list(obj({ upTo: num(0, 0, 100_000_000), pct: num(0, 0, 5) }), FEE_SCHEDULE_DEFAULT.tiers, 10),
+  capAnnual: num(0, 0, 100_000),
+  indexFixed: bool(false),
+  establishment: num(0, 0, 50_000),
+  tradesPerYear: num(0, 0, 365, { integer: true }),
+  brokerage: num(0, 0, 1000),
+  perfPct: num(0, 0, 50),
+  perfHurdlePct: num(6, -5, 20),
+});
+
+const SCENARIO_SCHEMA = {
+  client: str(""),
+  currentAge: num(40, 0, 99),
+  retirementAge: num(60, (s) => s.currentAge + 1, 100),
+  lifeExpectancy: num(90, (s) => s.retirementAge + 1, 110),
+  initialAmount: num(200000, 0, 5_000_000),
+  monthlySave: num(1500, 0, 25_000),
+  annualSpendToday: num(60000, 0, 1_300_000),
+  delayYears: num(3, 0, 15),
+  returnPa: num(8, 0, 20),
+  postRetRealPa: num(2.5, -5, 15),
+  inflationPa: num(0, 0, 10),
+  diyFeePct: num(0.2, 0, 2),
+  diyFixed: num(0, 0, 10000),
+  advisorFeePct: num(1.2, 0, 3),
+  advisorFixed: num(2000, 0, 10000),
+  diySchedule: FEE_SCHEDULE_RULE,
+  advisorSchedule: FEE_SCHEDULE_RULE,
+  mcEnabled: bool(false),
+  mcVolPct: num(12, 0, 40),
+  mcTrials: num(1000, 100, 10000),
+  mcSeed: num(42, 1, 99999, { integer: true }),
+  superMode: bool(false),
+  superBalance: num(150000, 0, 5_000_000),
+  superConcessional: num(12000, 0, 200_000),
+  superNonConcessional: num(0, 0, 500_000),
+  preservationAge: num(60, 55, 60),
+  concessionalCap: num(30000, 0, 100_000),
+  nonConcessionalCap: num(120000, 0, 500_000),
+  marginalTaxPct: num(37, 0, 47),
+  pensionEnabled: bool(false),
+  pensionCouple: bool(false),
+  pensionHomeowner: bool(true),
+  pensionOtherAssets: num(50000, 0, 2_000_000),
+  pensionRates: PENSION_RATES_RULE,
+  accountsMode: bool(false),
+  accountSettings: obj({
+    portfolio: obj({ ownReturn: bool(false), returnPa: num(8, -5, 20), feePct: num(0, 0, 3) }),
+    cash: obj({ startBalance: num(20000, 0, 5_000_000), monthly: num(0, 0, 25_000), returnPa: num(4, 0, 10), feePct: num(0, 0, 3) }),
+    super: obj({ ownReturn: bool(false), returnPa: num(7, -5, 20), feePct: num(0.5, 0, 3) }),
+  }),
+  drawdownOrder: oneOf("nonSuperFirst", Object.keys(DRAWDOWN_ORDERS)),
+  stackedView: bool(false),
+  coupleMode: bool(false),
+  partnerAge: num(38, 18, 99),
+  partnerRetirementAge: num(62, (s) => s.partnerAge + 1, 100),
+  partnerLifeExpectancy: num(92, (s) => s.partnerRetirementAge + 1, 110),
+  partnerInitial: num(100000, 0, 5_000_000),
+  partnerMonthlySave: num(1000, 0, 25_000),
+  survivorSpendPct: num(70, 30, 100),
+  showPartnerAges: bool(true),
+  glideEnabled: bool(false),
+  glide: obj({
+    points: list(obj({ age: num(60, 0, 110), growth: num(70, 0, 100) }), GLIDE_DEFAULT.points, 20),
+    growthReturn: num(GLIDE_DEFAULT.growthReturn, -5, 20),
+    defensiveReturn: num(GLIDE_DEFAULT.defensiveReturn, -5, 15),
+    growthFee: num(GLIDE_DEFAULT.growthFee, 0, 3),
+    defensiveFee: num(GLIDE_DEFAULT.defensiveFee, 0, 3),
+  }),
+  withdrawalStrategy: oneOf("constant", Object.keys(WITHDRAWAL_STRATEGIES)),
+  withdrawalSettings: obj({
+    pct: num(4, 0, 20),
+    floorPct: num(85, 0, 100),
+    ceilingPct: num(115, 100, 300),
+    guardrail: num(20, 5, 50),
+    adjust: num(10, 0, 50),
+  }),
+  eventsEnabled: bool(false),
+  lifeEventsList: list(
+    obj({
+      label: str("Event"),
+      age: num(60, 0, 110),
+      amount: num(0, 0, 100_000_000),
+      type: oneOf("out", ["in", "out"]),
+      real: bool(true),
+      everyYears: num(0, 0, 50),
+      untilAge: num(0, 0, 110),
+      toSuper: bool(false),
+    }),
+    LIFE_EVENTS_DEFAULT
+  ),
+  savingsPlanEnabled: bool(false),
+  savingsPlan: obj({
+    escalation: oneOf("wage", Object.keys(ESCALATION_MODES)),
+    fixedPct: num(3, 0, 15),
+    wageRealPct: num(1, -2, 5),
+    bands: list(obj({ label: str("Phase"), fromAge: num(0, 0, 110), toAge: num(0, 0, 110), pct: num(100, 0, 300) }), SAVINGS_PLAN_DEFAULT.bands, 20),
+  }),
+  goalEnabled: bool(false),
+  goal: obj({
+    target: oneOf("spend", Object.keys(GOAL_TARGETS)),
+    spend: num(60000, 0, 1_300_000),
+    bequest: num(500000, 0, 50_000_000),
+    unknown: oneOf("monthlySave", Object.keys(GOAL_UNKNOWNS)),
+  }),
+  sensEnabled: bool(false),
+  sensSettings: obj({
+    rate: num(1, 0.1, 5),
+    amount: num(20, 1, 50),
+    years: num(2, 1, 10, { integer: true }),
+    metric: oneOf("balanceAtRet", Object.keys(OUTCOME_METRICS)),
+  }),
+  heatEnabled: bool(false),
+  heatSettings: obj({
+    x: oneOf("returnPa", Object.keys(HEATMAP_INPUTS)),
+    y: oneOf("monthlySave", Object.keys(HEATMAP_INPUTS)),
+    metric: oneOf("balanceAtRet", Object.keys(OUTCOME_METRICS)),
+    size: oneOf(7, [5, 7, 9]),
+  }),
+  alphaEnabled: bool(false),
+  alphaSettings: obj({
+    behaviourGapPct: num(4, 0, 20),
+    downYearsPct: num(25, 0, 100),
+    taxPct: num(0.3, 0, 3),
+    rebalancingPct: num(0.2, 0, 3),
+    productPct: num(0.1, 0, 3),
+    metric: oneOf("sustainableSpend", Object.keys(OUTCOME_METRICS)),
+  }),
+  dollarBasis: oneOf("future", ["future", "today"]),
+  region: oneOf("AU", Object.keys(REGIONS)),
+  tab: oneOf(TABS.COMPOUND, Object.values(TABS)),
+  compareAdv: bool(false),
+  dark: bool(true),
+  activePreset: oneOf("", ["", ...Object.keys(GLIDE_TEMPLATES)]),
+};
+
+// Oldest layout we can read: v4 is the single ut_v4 blob, the first saved format. Anything older loads as defaults.
+const MIN_SCHEMA_VERSION = 4;
+
+// migrations[v] turns a v state into a v + 1 state.
+const SCENARIO_MIGRATIONS = {
+  // v4 presets set flat returns; from v5 a preset names the loaded glide-path template, so drop a stale label.
+  4: (s) => ("glideEnabled" in s ? s : { ...s, activePreset: "" }),
+};
+
+const ruleDefault = (rule) =>
+  rule.type === "object" ? Object.fromEntries(Object.entries(rule.fields).map(([k, r]) => [k, ruleDefault(r)])) : rule.default;
+const fmtField = (v) => (typeof v === "string" ? JSON.stringify(v) : Array.isArray(v) ? `${v.length} items` : v && typeof v === "object" ? "object" : String(v));
+
+// Returns the value to use for `rule`, pushing { field, from, to, reason } onto `corrections` when it had to change.
+function validateValue(rule, value, field, parent, corrections) {
+  if (value === undefined) return ruleDefault(rule);
+  const fix = (to, reason) => {
+    corrections.push({ field, from: fmtField(value), to: fmtField(to), reason });
+    return to;
+  };
+  switch (rule.type) {
+    case "number": {
+      let n = value;
+      if (typeof n === "string" && n.trim() !== "" && Number.isFinite(Number(n))) n = Number(n);
+      if (typeof n !== "number" || !Number.isFinite(n)) return fix(rule.default, "not a number");
+      const min = typeof rule.min === "function" ? rule.min(parent) : rule.min;
+      const max = typeof rule.max === "function" ? rule.max(parent) : rule.max;
+      let out = rule.integer ? Math.round(n) : n;
+      out = clamp(out, min, Math.max(min, max));
+      if (out !== value) return fix(out, out < n ? "above the maximum" : out > n ? "below the minimum" : typeof value === "string" ? "text converted to a number" : "rounded");
+      return out;
+    }
+    case "boolean":
+      return typeof value === "boolean" ? value : fix(rule.default, "not true/false");
+    case "string":
+      return typeof value === "string" ? value.slice(0, 200) : fix(rule.default, "not text");
+    case "enum":
+      return rule.values.includes(value) ? value : fix(rule.default, "not an allowed option");
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return fix(ruleDefault(rule), "not an object");
+      const out = {};
+      Object.entries(rule.fields).forEach(([k, r]) => (out[k] = validateValue(r, value[k], `${field}.${k}`, out, corrections)));
+      return out;
+    }
+    case "array": {
+      if (!Array.isArray(value)) return fix(rule.default, "not a list");
+      if (value.length > rule.maxItems) fix(value.slice(0, rule.maxItems), `more than ${rule.maxItems} items`);
+      return value.slice(0, rule.maxItems).map((item, i) => validateValue(rule.of, item, `${field}[${i}]`, null, corrections));
+    }
+    default:
+      return value;
+  }
+}
+
+// Migrates (unversioned states are v4) and validates a stored scenario. Unknown fields are dropped.
+export function validateScenario(raw) {
+  const input = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const fromVersion = Number.isInteger(input.schemaVersion) ? input.schemaVersion : 4;
+  const corrections = [];
+  let s = input;
+  if (fromVersion < MIN_SCHEMA_VERSION) {
+    corrections.push({ field: "schemaVersion", from: fmtField(fromVersion), to: fmtField(SCHEMA_VERSION), reason: "unsupported older version; defaults used" });
+    s = {};
+  } else for (let v = fromVersion; v < SCHEMA_VERSION; v++) s = SCENARIO_MIGRATIONS[v] ? SCENARIO_MIGRATIONS[v](s) : s;
+  const state = { schemaVersion: SCHEMA_VERSION };
+  Object.entries(SCENARIO_SCHEMA).forEach(([k, rule]) => (state[k] = validateValue(rule, s[k], k, state, corrections)));
+  return { state, corrections, fromVersion };
+}
+
+// ============== Scenario library (localStorage) =================
+// { version, activeId, scenarios: { [id]: { id, name, client, createdAt, updatedAt, state } } }, where
+// `state` is exactly what snapshot() captured (null for a fresh scenario on defaults).
+export const LIBRARY_KEY = "ut_library_v1";
+const LEGACY_KEYS = [
+  ["ut_v4", 4], // the single-scenario blob used before the library
+];
+
+const newScenarioId = () => `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+export const makeScenario = (name, state, now = Date.now()) => ({ id: newScenarioId(), name, client: state?.client ?? "", createdAt: now, updatedAt: now, state });
+
+// Reads the library; on first run the legacy blob (if any) becomes the first scenario.
+export function loadLibrary(storage) {
+  try {
+    const lib = JSON.parse(storage.getItem(LIBRARY_KEY));
+    if (lib && lib.scenarios && Object.keys(lib.scenarios).length) {
+      return lib.scenarios[lib.activeId] ? lib : { ...lib, activeId: latestScenario(lib.scenarios).id };
+    }
+  } catch {
+    // Missing or unreadable library: fall through to the legacy blob or a blank scenario.
+  }
+  let legacy = null;
+  LEGACY_KEYS.forEach(([key, schemaVersion]) => {
+    if (legacy) return;
+    try {
+      const st = JSON.parse(storage.getItem(key));
+      if (st && typeof st === "object") legacy = { ...st, schemaVersion };
+    } catch {
+      // A corrupt legacy blob is skipped like a missing one.
+    }
+  });
+  const first = makeScenario(legacy ? "Saved scenario" : "Scenario 1", legacy);
+  return { version: 1, activeId: first.id, scenarios: { [first.id]: first } };
+}
+
+export const latestScenario = (scenarios) => Object.values(scenarios).sort((a, b) => b.updatedAt - a.updatedAt)[0] || null;
+
+// [[client, scenarios newest first]], clients A→Z with unnamed clients last.
+export function groupScenariosByClient(scenarios) {
+  const groups = new Map();
+  Object.values(scenarios).forEach((sc) => {
+    const key = (sc.client || "").trim();
+    groups.set(key, [...(groups.get(key) || []), sc]);
+  });
+  return Array.from(groups.entries())
+    .map(([client, list]) => [client, list.sort((a, b) => b.updatedAt - a.updatedAt)])
+    .sort(([a], [b]) => (!a ? 1 : !b ? -1 : a.localeCompare(b)));
+}
+
+// ============== Share links (?state=) =================
+// v2 payload: "v2.<base64url(deflate-raw(JSON))>.<FNV-1a of the JSON>". The checksum catches links that were
+// truncated or edited by hand; it is not a signature. Version 1 links were plain btoa(JSON).
+export const SHARE_VERSION = 2;
+
+const toBase64Url = (bytes) => {
+  let bin = "";
+  bytes.forEach((b) => (bin += String.fromCharCode(b)));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+const fromBase64Url = (str) => {
+  if (!/^[A-Za-z0-9_-]*$/.test(str)) throw new Error("the link contains characters that are not part of a share link");
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+};
+const fnv1a = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+};
+const pipeBytes = async (bytes, transform) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+export async function encodeShareState(state) {
+  const json = JSON.stringify(state);
+  const packed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream("deflate-raw"));
+  return `v${SHARE_VERSION}.${toBase64Url(packed)}.${fnv1a(json)}`;
+}
+
+// Returns { state, version }; throws with a user-facing reason when the payload can't be trusted.
+export async function decodeShareState(param) {
+  const m = /^v(\d+)\.([^.]*)\.([0-9a-z]+)$/.exec(param || "");
+  if (!m) {
+    // Version 1: base64 JSON without a prefix.
+    let state;
+    try {
+      state = JSON.parse(atob(param));
+    } catch {
+      throw new Error("the link is malformed or incomplete");
+    }
+    if (!state || typeof state !== "object" || Array.isArray(state)) throw new Error("the link does not contain a scenario");
+    return { state, version: 1 };
+  }
+  const version = Number(m[1]);
+  if (version > SHARE_VERSION) throw new Error(`the link was made by a newer version of the app (v${version})`);
+  if (version !== 2) throw new Error(`link version v${version} is not supported`);
+  let json;
+  try {
+    json = new TextDecoder().decode(await pipeBytes(fromBase64Url(m[2]), new DecompressionStream("deflate-raw")));
+  } catch (e) {
+    throw new Error(e?.message?.startsWith("the link") ? e.message : "the link is malformed or incomplete");
+  }
+  if (fnv1a(json) !== m[3]) throw new Error("the link failed its integrity check (it may have been edited or truncated)");
+  const state = JSON.parse(json);
+  if (!state || typeof state !== "object" || Array.isArray(state)) throw new Error("the link does not contain a scenario");
+  return { state, version };
+}
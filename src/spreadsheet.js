@@ -0,0 +1,141 @@
+/**
+ * Client-side spreadsheet writers used by the CSV / XLSX export.
+ * - A sheet is { name, rows } where rows are arrays of numbers, strings,
+ *   booleans or null (empty cell).
+ * - XLSX is written as an uncompressed ("stored") zip of the minimal
+ *   SpreadsheetML parts, so no third-party library is needed.
+ */
+
+// ---- CSV ----
+// Text that a spreadsheet would read as a formula (= + - @, or a leading tab/CR) gets a ' in front so it stays text.
+const csvCell = (v) => {
+  if (v == null) return "";
+  const s = typeof v === "string" && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// All sheets in one file: a title line per sheet, a blank line between them.
+export const toCsv = (sheets) =>
+  sheets.map(({ name, rows }) => [[name], ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n")).join("\r\n\r\n") + "\r\n";
+
+// ---- Zip (stored) ----
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const zipStored = (files) => {
+  const enc = new TextEncoder();
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(({ path, data }) => {
+    const name = enc.encode(path);
+    const body = typeof data === "string" ? enc.encode(data) : data;
+    const crc = crc32(body);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, body.length, true);
+    local.setUint16(26, name.length, true);
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, body.length, true);
+    dir.setUint32(24, body.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    locals.push(new Uint8Array(local.buffer), name, body);
+    central.push(new Uint8Array(dir.buffer), name);
+    offset += 30 + name.length + body.length;
+  });
+  const dirSize = central.reduce((n, b) => n + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, dirSize, true);
+  end.setUint32(16, offset, true);
+  const parts = [...locals, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+  parts.reduce((at, b) => (out.set(b, at), at + b.length), 0);
+  return out;
+};
+
+// ---- XLSX ----
+const xml = (s) => String(s).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c])).replace(/(?![\t\n\r])\p{Cc}/gu, "");
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+export const columnName = (i) => {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+};
+
+// Excel rejects names over 31 chars, with []:*?/\ or duplicated (case-insensitive).
+const sheetNames = (sheets) => {
+  const seen = new Set();
+  return sheets.map(({ name }, i) => {
+    const base = String(name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, "-").slice(0, 31);
+    let out = base;
+    for (let k = 2; seen.has(out.toLowerCase()); k++) out = `${base.slice(0, 31 - String(k).length - 1)}~${k}`;
+    seen.add(out.toLowerCase());
+    return out;
+  });
+};
+
+const cellXml = (v, ref) => {
+  if (v == null || v === "" || (typeof v === "number" && !Number.isFinite(v))) return "";
+  if (typeof v === "number") return `<c r="${ref}"><v>${v}</v></c>`;
+  if (typeof v === "boolean") return `<c r="${ref}" t="b"><v>${v ? 1 : 0}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(v)}</t></is></c>`;
+};
+
+const sheetXml = (rows) =>
+  `${XML_HEAD}<worksheet xmlns="${NS_MAIN}"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${rows
+    .map((r, y) => `<row r="${y + 1}">${r.map((v, x) => cellXml(v, `${columnName(x)}${y + 1}`)).join("")}</row>`)
+    .join("")}</sheetData></worksheet>`;
+
+export const buildXlsx = (sheets) => {
+  const names = sheetNames(sheets);
+  const files = [
+    {
+      path: "[Content_Types].xml",
+      data: `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets
+        .map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`)
+        .join("")}</Types>`,
+    },
+    {
+      path: "_rels/.rels",
+      data: `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      path: "xl/workbook.xml",
+      data: `${XML_HEAD}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>${names
+        .map((n, i) => `<sheet name="${xml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+        .join("")}</sheets></workbook>`,
+    },
+    {
+      path: "xl/_rels/workbook.xml.rels",
+      data: `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets
+        .map((_, i) => `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`)
+        .join("")}</Relationships>`,
+    },
+    ...sheets.map(({ rows }, i) => ({ path: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(rows) })),
+  ];
+  return zipStored(files);
+};